@@ -0,0 +1,384 @@
+/**
+ * Broad-phase collision detection that considers every pair of spheres.
+ * This is the reference implementation the faster broad-phases are compared against.
+ *
+ * Every broad-phase exposes the same methods: update, forEachCandidatePair, candidatePairs,
+ * queryPoint and queryBox, so the physics engine can swap between them freely.
+ *
+ * @class BruteForceBroadPhase
+ */
+class BruteForceBroadPhase {
+  /**
+   * Creates an instance of BruteForceBroadPhase.
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  constructor () {
+    this.sphereList = []
+  }
+
+  /**
+   * Rebuilds the broad-phase from the current positions of the given spheres.
+   *
+   * @param {any} sphereList List of spheres to partition
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  update (sphereList) {
+    this.sphereList = sphereList
+  }
+
+  /**
+   * Calls the callback with every pair of spheres, ordered by the index of the first then the second sphere.
+   *
+   * @param {any} callback Function to call with the two spheres of each pair
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  forEachCandidatePair (callback) {
+    for (let i = 0; i < this.sphereList.length; i++) {
+      for (let j = i + 1; j < this.sphereList.length; j++) {
+        callback(this.sphereList[i], this.sphereList[j])
+      }
+    }
+  }
+
+  /**
+   * Returns every pair of spheres, in the order forEachCandidatePair visits them.
+   *
+   * @returns Array of [Sphere, Sphere] pairs that may be colliding
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  candidatePairs () {
+    return collectCandidatePairs(this)
+  }
+
+  /**
+   * Returns every sphere that intersects the ball of the given radius around a point.
+   *
+   * @param {any} point vec3 center of the query
+   * @param {number} [radius=0] Radius of the query around the point
+   * @returns Array of spheres near the point
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  queryPoint (point, radius = 0) {
+    return this.sphereList.filter(sphere => sphereNearPoint(sphere, point, radius))
+  }
+
+  /**
+   * Returns every sphere that intersects the given axis-aligned box.
+   *
+   * @param {any} min vec3 minimum corner of the box
+   * @param {any} max vec3 maximum corner of the box
+   * @returns Array of spheres in the box
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  queryBox (min, max) {
+    return this.sphereList.filter(sphere => sphereInBox(sphere, min, max))
+  }
+
+  /**
+   * Returns a plain object describing the broad-phase, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the broad-phase
+   *
+   * @memberOf BruteForceBroadPhase
+   */
+  toJSON () {
+    return {
+      type: this.constructor.name
+    }
+  }
+}
+
+/**
+ * Broad-phase collision detection that hashes spheres into a uniform grid of cubic cells.
+ * Only spheres that share a cell are reported as candidate pairs, so the cost of a step
+ * grows with the number of spheres rather than the number of pairs.
+ *
+ * @class SpatialHashBroadPhase
+ */
+class SpatialHashBroadPhase {
+  /**
+   * Creates an instance of SpatialHashBroadPhase.
+   * @param {number} [cellSize=4] Edge length of a grid cell, ideally about the diameter of the largest sphere
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  constructor (cellSize = 4) {
+    this.cellSize = cellSize
+    this.sphereList = []
+    this.cells = new Map()
+  }
+
+  /**
+   * Getter method for the edge length of a grid cell.
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  get cellSize () {
+    return this._cellSize
+  }
+
+  /**
+   * Setter method for the edge length of a grid cell.
+   * @param {number} cellSize Edge length of a grid cell, must be positive
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  set cellSize (cellSize) {
+    if (!(cellSize > 0)) {
+      throw Error(`Invalid cell size: ${cellSize}`)
+    }
+
+    this._cellSize = cellSize
+  }
+
+  /**
+   * Given integer cell coordinates, return the key of the cell in the hash.
+   *
+   * @param {number} x Cell x coordinate
+   * @param {number} y Cell y coordinate
+   * @param {number} z Cell z coordinate
+   * @returns Integer hash of the cell
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  cellKey (x, y, z) {
+    // Distinct cells may share a key; that only produces extra candidates, never missed ones
+    return ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791)) | 0
+  }
+
+  /**
+   * Calls the callback with the key of every cell overlapped by the given box.
+   *
+   * @param {any} min vec3 minimum corner of the box
+   * @param {any} max vec3 maximum corner of the box
+   * @param {any} callback Function to call with each cell key
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  forEachCell (min, max, callback) {
+    let minX = Math.floor(min[0] / this.cellSize)
+    let minY = Math.floor(min[1] / this.cellSize)
+    let minZ = Math.floor(min[2] / this.cellSize)
+    let maxX = Math.floor(max[0] / this.cellSize)
+    let maxY = Math.floor(max[1] / this.cellSize)
+    let maxZ = Math.floor(max[2] / this.cellSize)
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          callback(this.cellKey(x, y, z))
+        }
+      }
+    }
+  }
+
+  /**
+   * Rebuilds the grid from the current positions of the given spheres.
+   *
+   * @param {any} sphereList List of spheres to partition
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  update (sphereList) {
+    this.sphereList = sphereList
+    this.cells = new Map()
+
+    let min = vec3.create()
+    let max = vec3.create()
+
+    sphereList.forEach((sphere, index) => {
+      let extent = vec3.fromValues(sphere.radius, sphere.radius, sphere.radius)
+      vec3.subtract(min, sphere.position, extent)
+      vec3.add(max, sphere.position, extent)
+
+      this.forEachCell(min, max, (key) => {
+        let cell = this.cells.get(key)
+        if (cell === undefined) {
+          this.cells.set(key, [index])
+        } else {
+          cell.push(index)
+        }
+      })
+    })
+  }
+
+  /**
+   * Calls the callback with every pair of spheres sharing a grid cell, ordered by the index of
+   * the first then the second sphere so the order matches the brute-force ordering.
+   *
+   * @param {any} callback Function to call with the two spheres of each pair
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  forEachCandidatePair (callback) {
+    let count = this.sphereList.length
+    let seen = new Set()
+    let keys = []
+
+    this.cells.forEach((cell) => {
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) {
+          // Indices within a cell are ascending since spheres are inserted in order
+          let key = cell[i] * count + cell[j]
+          if (!seen.has(key)) {
+            seen.add(key)
+            keys.push(key)
+          }
+        }
+      }
+    })
+
+    keys.sort((a, b) => a - b)
+    keys.forEach(key => callback(this.sphereList[Math.floor(key / count)], this.sphereList[key % count]))
+  }
+
+  /**
+   * Returns every pair of spheres sharing a grid cell, in the order forEachCandidatePair visits them.
+   *
+   * @returns Array of [Sphere, Sphere] pairs that may be colliding
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  candidatePairs () {
+    return collectCandidatePairs(this)
+  }
+
+  /**
+   * Returns every sphere that intersects the ball of the given radius around a point.
+   *
+   * @param {any} point vec3 center of the query
+   * @param {number} [radius=0] Radius of the query around the point
+   * @returns Array of spheres near the point
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  queryPoint (point, radius = 0) {
+    let extent = vec3.fromValues(radius, radius, radius)
+    let min = vec3.subtract(vec3.create(), point, extent)
+    let max = vec3.add(vec3.create(), point, extent)
+
+    return this.candidatesInBox(min, max).filter(sphere => sphereNearPoint(sphere, point, radius))
+  }
+
+  /**
+   * Returns every sphere that intersects the given axis-aligned box.
+   *
+   * @param {any} min vec3 minimum corner of the box
+   * @param {any} max vec3 maximum corner of the box
+   * @returns Array of spheres in the box
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  queryBox (min, max) {
+    return this.candidatesInBox(min, max).filter(sphere => sphereInBox(sphere, min, max))
+  }
+
+  /**
+   * Returns every sphere stored in a cell overlapped by the given box, in list order.
+   *
+   * @param {any} min vec3 minimum corner of the box
+   * @param {any} max vec3 maximum corner of the box
+   * @returns Array of spheres that may intersect the box
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  candidatesInBox (min, max) {
+    let indices = new Set()
+
+    this.forEachCell(min, max, (key) => {
+      let cell = this.cells.get(key)
+      if (cell !== undefined) {
+        cell.forEach(index => indices.add(index))
+      }
+    })
+
+    return Array.from(indices).sort((a, b) => a - b).map(index => this.sphereList[index])
+  }
+
+  /**
+   * Returns a plain object describing the broad-phase, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the broad-phase
+   *
+   * @memberOf SpatialHashBroadPhase
+   */
+  toJSON () {
+    return {
+      type: this.constructor.name,
+      cellSize: this.cellSize
+    }
+  }
+}
+
+/**
+ * Given a description saved by a broad-phase's toJSON, create the broad-phase it describes.
+ *
+ * @param {any} json Description of the broad-phase
+ * @returns New broad-phase
+ */
+function broadPhaseFromJSON (json) {
+  let broadPhases = {
+    BruteForceBroadPhase: () => new BruteForceBroadPhase(),
+    SpatialHashBroadPhase: () => new SpatialHashBroadPhase(json.cellSize)
+  }
+
+  if (!broadPhases.hasOwnProperty(json.type)) {
+    throw Error(`Unknown broad-phase: ${json.type}`)
+  }
+
+  return broadPhases[json.type]()
+}
+
+/**
+ * Given a broad-phase, collect the pairs it visits into an array.
+ *
+ * @param {any} broadPhase Broad-phase to collect pairs from
+ * @returns Array of [Sphere, Sphere] pairs
+ */
+function collectCandidatePairs (broadPhase) {
+  let pairs = []
+  broadPhase.forEachCandidatePair((a, b) => pairs.push([a, b]))
+  return pairs
+}
+
+/**
+ * Given a sphere, return whether it intersects the ball of the given radius around a point.
+ *
+ * @param {any} sphere Sphere to test
+ * @param {any} point vec3 center of the query
+ * @param {number} radius Radius of the query around the point
+ * @returns True if the sphere is near the point
+ */
+function sphereNearPoint (sphere, point, radius) {
+  let reach = sphere.radius + radius
+  return vec3.squaredDistance(sphere.position, point) <= reach * reach
+}
+
+/**
+ * Given a sphere, return whether it intersects the given axis-aligned box.
+ *
+ * @param {any} sphere Sphere to test
+ * @param {any} min vec3 minimum corner of the box
+ * @param {any} max vec3 maximum corner of the box
+ * @returns True if the sphere is in the box
+ */
+function sphereInBox (sphere, min, max) {
+  let squaredDistance = 0
+
+  for (let i = 0; i < 3; i++) {
+    let closest = Math.max(min[i], Math.min(sphere.position[i], max[i]))
+    squaredDistance += (sphere.position[i] - closest) * (sphere.position[i] - closest)
+  }
+
+  return squaredDistance <= sphere.radius * sphere.radius
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { BruteForceBroadPhase, SpatialHashBroadPhase, broadPhaseFromJSON }
+}
@@ -0,0 +1,325 @@
+/**
+ * An orbit camera: it circles a target point at some distance, turned by a yaw about the vertical
+ * axis and a pitch above the horizontal, and owns the view and projection matrices that follow.
+ *
+ * Orbiting, panning and zooming move a goal view, and update eases the camera towards it, so
+ * the motion stays smooth however jerky the input. The camera can also follow a moving point,
+ * such as a sphere, keeping it as the target.
+ *
+ * @class Camera
+ */
+class Camera {
+  /**
+   * Creates an instance of Camera, looking at the origin from the home view.
+   * @param {number} [fieldOfView=Math.PI / 4] Vertical field of view in radians
+   *
+   * @memberOf Camera
+   */
+  constructor (fieldOfView = Math.PI / 4) {
+    this.fieldOfView = fieldOfView
+    this.near = 0.1
+    this.far = 200
+
+    // How quickly the camera closes on its goal, as the fraction of the gap per second is 1 - e^-damping
+    this.damping = 10
+
+    this.viewMatrix = mat4.create()
+    this.projectionMatrix = mat4.create()
+
+    this.followed = null
+
+    // Looking down the diagonal from (1, 1, 1) towards the origin
+    this.setHome(vec3.create(), 30 * Math.sqrt(3), Math.PI / 4, Math.asin(1 / Math.sqrt(3)))
+    this.reset()
+    this.snap()
+  }
+
+  /**
+   * Static constant for the closest the camera gets to its target.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Camera
+   */
+  static get MIN_DISTANCE () {
+    return 1
+  }
+
+  /**
+   * Static constant for the farthest the camera gets from its target, short of the far plane.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Camera
+   */
+  static get MAX_DISTANCE () {
+    return 150
+  }
+
+  /**
+   * Static constant for the steepest pitch, just short of straight up or down,
+   * where the up direction of the view would flip.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Camera
+   */
+  static get MAX_PITCH () {
+    return Math.PI / 2 * 0.99
+  }
+
+  /**
+   * Returns the position of the eye, from the current view.
+   *
+   * @readonly
+   *
+   * @memberOf Camera
+   */
+  get eye () {
+    let horizontal = this.distance * Math.cos(this.pitch)
+    let offset = vec3.fromValues(horizontal * Math.sin(this.yaw), this.distance * Math.sin(this.pitch), horizontal * Math.cos(this.yaw))
+    return vec3.add(offset, offset, this.target)
+  }
+
+  /**
+   * Returns the unit direction the eye looks in, from the current view.
+   *
+   * @readonly
+   *
+   * @memberOf Camera
+   */
+  get forward () {
+    let sight = vec3.subtract(vec3.create(), this.target, this.eye)
+    return vec3.normalize(sight, sight)
+  }
+
+  /**
+   * Set the view that reset returns to.
+   *
+   * @param {any} target vec3 point to look at
+   * @param {number} distance Distance of the eye from the target
+   * @param {number} yaw Angle of the eye about the vertical axis in radians, from +z towards +x
+   * @param {number} pitch Angle of the eye above the horizontal in radians
+   *
+   * @memberOf Camera
+   */
+  setHome (target, distance, yaw, pitch) {
+    this.home = { target: vec3.clone(target), distance, yaw, pitch }
+  }
+
+  /**
+   * Ease back to the home view, and stop following anything.
+   *
+   * @memberOf Camera
+   */
+  reset () {
+    this.followed = null
+    this.goal = {
+      target: vec3.clone(this.home.target),
+      distance: this.home.distance,
+      yaw: this.home.yaw,
+      pitch: this.home.pitch
+    }
+  }
+
+  /**
+   * Jump straight to the goal view, without easing.
+   *
+   * @memberOf Camera
+   */
+  snap () {
+    this.target = vec3.clone(this.goal.target)
+    this.distance = this.goal.distance
+    this.yaw = this.goal.yaw
+    this.pitch = this.goal.pitch
+    this.updateViewMatrix()
+  }
+
+  /**
+   * Given the box around the scene, make the home view look at its center from far enough away
+   * to see all of it, and ease there.
+   *
+   * @param {any} bounds Object with the min and max vec3 corners of the box
+   *
+   * @memberOf Camera
+   */
+  frame (bounds) {
+    let center = vec3.lerp(vec3.create(), bounds.min, bounds.max, 0.5)
+    let radius = vec3.distance(bounds.min, bounds.max) / 2
+
+    // Keeps the original view of the 20 unit box from (30, 30, 30)
+    this.setHome(center, 3 * radius, this.home.yaw, this.home.pitch)
+    this.reset()
+  }
+
+  /**
+   * Turn the goal view around the target.
+   *
+   * @param {number} yaw Angle to turn about the vertical axis in radians
+   * @param {number} pitch Angle to tilt up in radians
+   *
+   * @memberOf Camera
+   */
+  orbit (yaw, pitch) {
+    this.goal.yaw += yaw
+    this.goal.pitch = Math.min(Math.max(this.goal.pitch + pitch, -Camera.MAX_PITCH), Camera.MAX_PITCH)
+  }
+
+  /**
+   * Move the goal closer to or farther from its target.
+   *
+   * @param {number} factor Amount to multiply the distance by; less than 1 zooms in
+   *
+   * @memberOf Camera
+   */
+  zoom (factor) {
+    this.goal.distance = Math.min(Math.max(this.goal.distance * factor, Camera.MIN_DISTANCE), Camera.MAX_DISTANCE)
+  }
+
+  /**
+   * Slide the goal target across the screen, which stops following.
+   *
+   * @param {number} right Distance to move to the right of the view
+   * @param {number} up Distance to move up the view
+   *
+   * @memberOf Camera
+   */
+  pan (right, up) {
+    let axes = this.viewAxes(this.goal.yaw, this.goal.pitch)
+    vec3.scaleAndAdd(this.goal.target, this.goal.target, axes.right, right)
+    vec3.scaleAndAdd(this.goal.target, this.goal.target, axes.up, up)
+    this.followed = null
+  }
+
+  /**
+   * Slide the goal target across the ground, relative to the direction the camera faces,
+   * which stops following.
+   *
+   * @param {number} forward Distance to move away from the eye
+   * @param {number} right Distance to move to the right of the view
+   *
+   * @memberOf Camera
+   */
+  move (forward, right) {
+    let yaw = this.goal.yaw
+    vec3.scaleAndAdd(this.goal.target, this.goal.target, vec3.fromValues(-Math.sin(yaw), 0, -Math.cos(yaw)), forward)
+    vec3.scaleAndAdd(this.goal.target, this.goal.target, vec3.fromValues(Math.cos(yaw), 0, -Math.sin(yaw)), right)
+    this.followed = null
+  }
+
+  /**
+   * Keep the target on a moving point. Following stops when the function returns null,
+   * or when the view is panned or moved.
+   *
+   * @param {any} position Function returning the vec3 position to follow, or null to stop following
+   *
+   * @memberOf Camera
+   */
+  follow (position) {
+    this.followed = position
+  }
+
+  /**
+   * Returns the distance across the view, at the target, that one pixel covers.
+   *
+   * @param {number} viewportHeight Height of the viewport in pixels
+   * @returns Distance per pixel
+   *
+   * @memberOf Camera
+   */
+  unitsPerPixel (viewportHeight) {
+    return 2 * this.distance * Math.tan(this.fieldOfView / 2) / viewportHeight
+  }
+
+  /**
+   * Given a point on the screen in normalized device coordinates, from -1 to 1 with y up,
+   * return the ray from the near plane through that point into the scene.
+   *
+   * @param {number} x Horizontal position on the screen
+   * @param {number} y Vertical position on the screen
+   * @returns Object with the vec3 origin and unit direction of the ray in world coordinates
+   *
+   * @memberOf Camera
+   */
+  rayThrough (x, y) {
+    let clipToWorld = mat4.multiply(mat4.create(), this.projectionMatrix, this.viewMatrix)
+    mat4.invert(clipToWorld, clipToWorld)
+
+    let unproject = depth => {
+      let point = vec4.transformMat4(vec4.create(), vec4.fromValues(x, y, depth, 1), clipToWorld)
+      return vec3.fromValues(point[0] / point[3], point[1] / point[3], point[2] / point[3])
+    }
+
+    let origin = unproject(-1)
+    let direction = vec3.subtract(vec3.create(), unproject(1), origin)
+    return { origin, direction: vec3.normalize(direction, direction) }
+  }
+
+  /**
+   * Given the time since the last frame, track any followed point and ease the view towards the goal.
+   *
+   * @param {number} frameTime Time elapsed since the last frame in seconds
+   *
+   * @memberOf Camera
+   */
+  update (frameTime) {
+    if (this.followed !== null) {
+      let position = this.followed()
+      if (position === null) {
+        this.followed = null
+      } else {
+        vec3.copy(this.goal.target, position)
+      }
+    }
+
+    let t = 1 - Math.exp(-this.damping * frameTime)
+    vec3.lerp(this.target, this.target, this.goal.target, t)
+    this.distance += (this.goal.distance - this.distance) * t
+    this.yaw += (this.goal.yaw - this.yaw) * t
+    this.pitch += (this.goal.pitch - this.pitch) * t
+
+    this.updateViewMatrix()
+  }
+
+  /**
+   * Given the width over the height of the viewport, update the projection matrix.
+   *
+   * @param {number} aspect Aspect ratio of the viewport
+   *
+   * @memberOf Camera
+   */
+  updateProjection (aspect) {
+    mat4.perspective(this.projectionMatrix, this.fieldOfView, aspect, this.near, this.far)
+  }
+
+  /**
+   * Point the view matrix from the eye at the target.
+   *
+   * @memberOf Camera
+   */
+  updateViewMatrix () {
+    mat4.lookAt(this.viewMatrix, this.eye, this.target, vec3.fromValues(0, 1, 0))
+  }
+
+  /**
+   * Given a yaw and pitch, return the directions to the right of and up the view they give.
+   *
+   * @param {number} yaw Angle of the eye about the vertical axis in radians
+   * @param {number} pitch Angle of the eye above the horizontal in radians
+   * @returns Object with the right and up vec3 unit directions
+   *
+   * @memberOf Camera
+   */
+  viewAxes (yaw, pitch) {
+    let right = vec3.fromValues(Math.cos(yaw), 0, -Math.sin(yaw))
+    let up = vec3.fromValues(-Math.sin(pitch) * Math.sin(yaw), Math.cos(pitch), -Math.sin(pitch) * Math.cos(yaw))
+    return { right, up }
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Camera }
+}
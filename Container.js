@@ -0,0 +1,656 @@
+/**
+ * A container is the static world the spheres are kept inside: a shape made of surfaces
+ * (floor, ceiling and walls), each with its own restitution and friction.
+ *
+ * Subclasses describe the shape by implementing contacts, randomPosition and bounds.
+ * The inside of every container must be convex, which timeOfImpact relies on.
+ *
+ * @class Container
+ */
+class Container {
+  /**
+   * Creates an instance of Container.
+   * @param {any} [surfaces={}] Restitution and friction of the floor, ceiling and walls
+   *
+   * @memberOf Container
+   */
+  constructor (surfaces = {}) {
+    this.surfaces = {
+      floor: Object.assign(Sphere.DEFAULT_SURFACE, surfaces.floor),
+      ceiling: Object.assign(Sphere.DEFAULT_SURFACE, surfaces.ceiling),
+      walls: Object.assign(Sphere.DEFAULT_SURFACE, surfaces.walls)
+    }
+  }
+
+  /**
+   * Getter method for the restitution and friction of the floor, ceiling and walls.
+   *
+   * @memberOf Container
+   */
+  get surfaces () {
+    return this._surfaces
+  }
+
+  /**
+   * Setter method for the restitution and friction of the floor, ceiling and walls.
+   * @param {any} surfaces Object with floor, ceiling and walls surfaces
+   *
+   * @memberOf Container
+   */
+  set surfaces (surfaces) {
+    this._surfaces = surfaces
+  }
+
+  /**
+   * Given a sphere, return every surface of the container it is touching or has sunk into.
+   * Each contact has the unit normal pointing from the surface into the container, the
+   * penetration depth, the surface coefficients and the name of the wall.
+   *
+   * @param {any} sphere Sphere to test
+   * @returns Array of contacts
+   *
+   * @memberOf Container
+   */
+  contacts (sphere) {
+    return []
+  }
+
+  /**
+   * Static constant for the number of times timeOfImpact halves the interval
+   * the impact is known to be in, which fixes the time to within 2^-20 of an epoch.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Container
+   */
+  static get IMPACT_ITERATIONS () {
+    return 20
+  }
+
+  /**
+   * Given a sphere moving in a straight line, find the first moment it sinks into a surface of the container.
+   * Because the inside of the container is convex, once the path enters a surface it stays in,
+   * so the moment can be found by bisecting the path between contacts.
+   *
+   * @param {number} radius Radius of the moving sphere
+   * @param {any} start vec3 position of the center at the start of the path
+   * @param {any} end vec3 position of the center at the end of the path
+   * @returns Contact with the surface hit, plus the time of impact as a fraction of the path from 0 to 1;
+   *          null if the path stays clear of the surfaces or already starts sunk into one
+   *
+   * @memberOf Container
+   */
+  timeOfImpact (radius, start, end) {
+    let probe = { radius, position: vec3.create() }
+    let contactsAt = time => {
+      vec3.lerp(probe.position, start, end, time)
+      return this.contacts(probe).filter(contact => contact.penetration > 0)
+    }
+
+    if (contactsAt(1).length === 0 || contactsAt(0).length > 0) {
+      return null
+    }
+
+    let low = 0
+    let high = 1
+    for (let i = 0; i < Container.IMPACT_ITERATIONS; i++) {
+      let middle = (low + high) / 2
+      if (contactsAt(middle).length > 0) {
+        high = middle
+      } else {
+        low = middle
+      }
+    }
+
+    // The surface is identified just past the impact, where the sphere has only just sunk into it
+    let contact = contactsAt(high).reduce((deepest, contact) => contact.penetration > deepest.penetration ? contact : deepest)
+
+    return Object.assign(contact, { time: low })
+  }
+
+  /**
+   * Given a radius, return a random position where a sphere of that radius fits in the container.
+   *
+   * @param {number} radius Radius of the sphere to place
+   * @param {any} [random=Math.random] Function returning a random number from 0 to 1
+   * @returns vec3 random position
+   *
+   * @memberOf Container
+   */
+  randomPosition (radius, random = Math.random) {
+    return vec3.create()
+  }
+
+  /**
+   * Returns the axis-aligned box around the part of the container spheres are spawned and drawn in.
+   *
+   * @readonly
+   *
+   * @memberOf Container
+   */
+  get bounds () {
+    return {
+      min: vec3.create(),
+      max: vec3.create()
+    }
+  }
+
+  /**
+   * Returns a plain object describing the container, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the container
+   *
+   * @memberOf Container
+   */
+  toJSON () {
+    return {
+      type: this.constructor.name,
+      surfaces: JSON.parse(JSON.stringify(this.surfaces))
+    }
+  }
+
+  /**
+   * Given a description saved by toJSON, create the container it describes.
+   *
+   * @static
+   * @param {any} json Description of the container
+   * @returns New container
+   *
+   * @memberOf Container
+   */
+  static fromJSON (json) {
+    let containers = {
+      BoxContainer: () => new BoxContainer(vec3.clone(json.min), vec3.clone(json.max), json.surfaces),
+      OpenBoxContainer: () => new OpenBoxContainer(vec3.clone(json.min), vec3.clone(json.max), json.surfaces),
+      BowlContainer: () => new BowlContainer(vec3.clone(json.center), json.radius, json.surfaces),
+      CylinderContainer: () => new CylinderContainer(vec3.clone(json.base), json.radius, json.height, json.surfaces),
+      PlaneContainer: () => new PlaneContainer(json.height, json.spawnExtent, json.surfaces)
+    }
+
+    if (!containers.hasOwnProperty(json.type)) {
+      throw Error(`Unknown container: ${json.type}`)
+    }
+
+    return containers[json.type]()
+  }
+}
+
+/**
+ * An axis-aligned box, closed on every side.
+ *
+ * @class BoxContainer
+ * @extends {Container}
+ */
+class BoxContainer extends Container {
+  /**
+   * Creates an instance of BoxContainer.
+   * @param {any} [min=vec3.fromValues(-10, -10, -10)] vec3 minimum corner of the box
+   * @param {any} [max=vec3.fromValues(10, 10, 10)] vec3 maximum corner of the box
+   * @param {any} [surfaces={}] Restitution and friction of the floor, ceiling and walls
+   *
+   * @memberOf BoxContainer
+   */
+  constructor (min = vec3.fromValues(-10, -10, -10), max = vec3.fromValues(10, 10, 10), surfaces = {}) {
+    super(surfaces)
+    this.min = min
+    this.max = max
+  }
+
+  /**
+   * Given a sphere, return every face of the box it is touching or has sunk into.
+   *
+   * @param {any} sphere Sphere to test
+   * @returns Array of contacts
+   *
+   * @memberOf BoxContainer
+   */
+  contacts (sphere) {
+    let [x, y, z] = sphere.position
+    let radius = sphere.radius
+
+    let faces = [
+      ['left', vec3.fromValues(1, 0, 0), this.min[0] + radius - x, this.surfaces.walls],
+      ['right', vec3.fromValues(-1, 0, 0), x + radius - this.max[0], this.surfaces.walls],
+      ['floor', vec3.fromValues(0, 1, 0), this.min[1] + radius - y, this.surfaces.floor],
+      ['ceiling', vec3.fromValues(0, -1, 0), y + radius - this.max[1], this.surfaces.ceiling],
+      ['back', vec3.fromValues(0, 0, 1), this.min[2] + radius - z, this.surfaces.walls],
+      ['front', vec3.fromValues(0, 0, -1), z + radius - this.max[2], this.surfaces.walls]
+    ]
+
+    return faces
+      .filter(([wall, normal, penetration]) => this.hasFace(wall) && penetration >= 0)
+      .map(([wall, normal, penetration, surface]) => ({ wall, normal, penetration, surface }))
+  }
+
+  /**
+   * Given the name of a face of the box, return whether the box has that face.
+   *
+   * @param {string} wall Name of the face
+   * @returns True if the face is solid
+   *
+   * @memberOf BoxContainer
+   */
+  hasFace (wall) {
+    return true
+  }
+
+  /**
+   * Given a radius, return a random position where a sphere of that radius fits in the box.
+   *
+   * @param {number} radius Radius of the sphere to place
+   * @param {any} [random=Math.random] Function returning a random number from 0 to 1
+   * @returns vec3 random position
+   *
+   * @memberOf BoxContainer
+   */
+  randomPosition (radius, random = Math.random) {
+    let bounds = this.bounds
+    let position = vec3.create()
+
+    for (let i = 0; i < 3; i++) {
+      let min = bounds.min[i] + radius
+      let max = bounds.max[i] - radius
+      // A sphere wider than the box can only go in the middle
+      position[i] = min < max ? min + random() * (max - min) : (bounds.min[i] + bounds.max[i]) / 2
+    }
+
+    return position
+  }
+
+  /**
+   * Returns the axis-aligned box itself.
+   *
+   * @readonly
+   *
+   * @memberOf BoxContainer
+   */
+  get bounds () {
+    return {
+      min: vec3.clone(this.min),
+      max: vec3.clone(this.max)
+    }
+  }
+
+  /**
+   * Returns a plain object describing the container, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the container
+   *
+   * @memberOf BoxContainer
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      min: Array.from(this.min),
+      max: Array.from(this.max)
+    })
+  }
+}
+
+/**
+ * An axis-aligned box with no ceiling. The walls extend upwards without limit,
+ * so spheres thrown out of the top fall back in.
+ *
+ * @class OpenBoxContainer
+ * @extends {BoxContainer}
+ */
+class OpenBoxContainer extends BoxContainer {
+  /**
+   * Given the name of a face of the box, return whether the box has that face.
+   *
+   * @param {string} wall Name of the face
+   * @returns True if the face is solid
+   *
+   * @memberOf OpenBoxContainer
+   */
+  hasFace (wall) {
+    return wall !== 'ceiling'
+  }
+}
+
+/**
+ * A spherical bowl: the inside of the lower half of a hollow sphere, open at the top,
+ * with its rim level with the center. Any sphere below the rim is kept inside the wall,
+ * so a sphere thrown over the rim lands back in the bowl once it falls to the rim.
+ *
+ * @class BowlContainer
+ * @extends {Container}
+ */
+class BowlContainer extends Container {
+  /**
+   * Creates an instance of BowlContainer.
+   * @param {any} [center=vec3.create()] vec3 center of the bowl
+   * @param {number} [radius=10] Inner radius of the bowl
+   * @param {any} [surfaces={}] Restitution and friction of the walls of the bowl
+   *
+   * @memberOf BowlContainer
+   */
+  constructor (center = vec3.create(), radius = 10, surfaces = {}) {
+    super(surfaces)
+    this.center = center
+    this.radius = radius
+  }
+
+  /**
+   * Given a sphere, return the contact with the wall of the bowl if it is touching it.
+   * Only a sphere with its center below the rim touches the wall; one above the rim is in the open.
+   * A sphere that has passed right through the wall in one epoch is still pushed back inside.
+   *
+   * @param {any} sphere Sphere to test
+   * @returns Array of contacts
+   *
+   * @memberOf BowlContainer
+   */
+  contacts (sphere) {
+    let offset = vec3.subtract(vec3.create(), sphere.position, this.center)
+    let distance = vec3.length(offset)
+    let penetration = distance + sphere.radius - this.radius
+
+    if (penetration < 0 || offset[1] > 0) {
+      return []
+    }
+
+    // Points back towards the center; straight up if the sphere is exactly at the center
+    let normal = distance > 0 ? vec3.scale(vec3.create(), offset, -1 / distance) : vec3.fromValues(0, 1, 0)
+
+    return [{ wall: 'bowl', normal, penetration, surface: this.surfaces.walls }]
+  }
+
+  /**
+   * Given a sphere moving in a straight line, find the moment it first runs into the wall of the bowl.
+   * Above the rim the inside is not convex, as a path can leave the ball of the bowl through the open
+   * top, so rather than bisect as Container does this solves for where the path crosses the ball of
+   * the bowl on its way out and keeps the crossing if it is below the rim.
+   *
+   * @param {number} radius Radius of the moving sphere
+   * @param {any} start vec3 position of the center at the start of the path
+   * @param {any} end vec3 position of the center at the end of the path
+   * @returns Contact with the wall, plus the time of impact as a fraction of the path from 0 to 1;
+   *          null if the path stays clear of the wall or already starts sunk into it
+   *
+   * @memberOf BowlContainer
+   */
+  timeOfImpact (radius, start, end) {
+    // The center of a touching sphere is this far from the center of the bowl
+    let reach = this.radius - radius
+    let from = vec3.subtract(vec3.create(), start, this.center)
+    let path = vec3.subtract(vec3.create(), end, start)
+
+    let a = vec3.squaredLength(path)
+    let b = vec3.dot(from, path)
+    let c = vec3.squaredLength(from) - reach * reach
+    let discriminant = b * b - a * c
+    if (reach <= 0 || a === 0 || discriminant < 0 || (c >= 0 && from[1] <= 0)) {
+      return null
+    }
+
+    let root = Math.sqrt(discriminant)
+    let enter = (-b - root) / a
+    let leave = (-b + root) / a
+    if (leave < 0 || leave > 1) {
+      return null
+    }
+
+    // A path starting outside the ball only reaches the wall from inside if it comes in over the rim
+    if (c > 0 && from[1] + enter * path[1] <= 0) {
+      return null
+    }
+
+    let hit = vec3.scaleAndAdd(vec3.create(), from, path, leave)
+    if (hit[1] > 0) {
+      return null
+    }
+
+    let normal = vec3.normalize(hit, vec3.negate(hit, hit))
+    return { wall: 'bowl', normal, penetration: 0, surface: this.surfaces.walls, time: leave }
+  }
+
+  /**
+   * Given a radius, return a random position where a sphere of that radius fits in the bowl, below the rim.
+   *
+   * @param {number} radius Radius of the sphere to place
+   * @param {any} [random=Math.random] Function returning a random number from 0 to 1
+   * @returns vec3 random position
+   *
+   * @memberOf BowlContainer
+   */
+  randomPosition (radius, random = Math.random) {
+    let reach = Math.max(this.radius - radius, 0)
+    let position = vec3.create()
+
+    // Rejection sample the box around the reachable half ball below the rim
+    do {
+      vec3.set(position, random() * 2 - 1, random() - 1, random() * 2 - 1)
+    } while (vec3.squaredLength(position) > 1)
+
+    return vec3.scaleAndAdd(position, this.center, position, reach)
+  }
+
+  /**
+   * Returns the axis-aligned box around the bowl.
+   *
+   * @readonly
+   *
+   * @memberOf BowlContainer
+   */
+  get bounds () {
+    let extent = vec3.fromValues(this.radius, this.radius, this.radius)
+    return {
+      min: vec3.subtract(vec3.create(), this.center, extent),
+      max: vec3.add(vec3.create(), this.center, extent)
+    }
+  }
+
+  /**
+   * Returns a plain object describing the container, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the container
+   *
+   * @memberOf BowlContainer
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      center: Array.from(this.center),
+      radius: this.radius
+    })
+  }
+}
+
+/**
+ * An upright cylinder with a floor and a ceiling.
+ *
+ * @class CylinderContainer
+ * @extends {Container}
+ */
+class CylinderContainer extends Container {
+  /**
+   * Creates an instance of CylinderContainer.
+   * @param {any} [base=vec3.fromValues(0, -10, 0)] vec3 center of the floor of the cylinder
+   * @param {number} [radius=10] Inner radius of the cylinder
+   * @param {number} [height=20] Height from the floor to the ceiling
+   * @param {any} [surfaces={}] Restitution and friction of the floor, ceiling and walls
+   *
+   * @memberOf CylinderContainer
+   */
+  constructor (base = vec3.fromValues(0, -10, 0), radius = 10, height = 20, surfaces = {}) {
+    super(surfaces)
+    this.base = base
+    this.radius = radius
+    this.height = height
+  }
+
+  /**
+   * Given a sphere, return every surface of the cylinder it is touching or has sunk into.
+   *
+   * @param {any} sphere Sphere to test
+   * @returns Array of contacts
+   *
+   * @memberOf CylinderContainer
+   */
+  contacts (sphere) {
+    let contacts = []
+    let [x, y, z] = sphere.position
+
+    let floorPenetration = this.base[1] + sphere.radius - y
+    if (floorPenetration >= 0) {
+      contacts.push({ wall: 'floor', normal: vec3.fromValues(0, 1, 0), penetration: floorPenetration, surface: this.surfaces.floor })
+    }
+
+    let ceilingPenetration = y + sphere.radius - (this.base[1] + this.height)
+    if (ceilingPenetration >= 0) {
+      contacts.push({ wall: 'ceiling', normal: vec3.fromValues(0, -1, 0), penetration: ceilingPenetration, surface: this.surfaces.ceiling })
+    }
+
+    let dx = x - this.base[0]
+    let dz = z - this.base[2]
+    let distance = Math.sqrt(dx * dx + dz * dz)
+    let wallPenetration = distance + sphere.radius - this.radius
+    if (wallPenetration >= 0) {
+      let normal = distance > 0 ? vec3.fromValues(-dx / distance, 0, -dz / distance) : vec3.fromValues(1, 0, 0)
+      contacts.push({ wall: 'wall', normal, penetration: wallPenetration, surface: this.surfaces.walls })
+    }
+
+    return contacts
+  }
+
+  /**
+   * Given a radius, return a random position where a sphere of that radius fits in the cylinder.
+   *
+   * @param {number} radius Radius of the sphere to place
+   * @param {any} [random=Math.random] Function returning a random number from 0 to 1
+   * @returns vec3 random position
+   *
+   * @memberOf CylinderContainer
+   */
+  randomPosition (radius, random = Math.random) {
+    let reach = Math.max(this.radius - radius, 0)
+    let angle = random() * 2 * Math.PI
+    // Square root keeps the positions uniform over the area of the disc
+    let distance = reach * Math.sqrt(random())
+
+    let minY = this.base[1] + radius
+    let maxY = this.base[1] + this.height - radius
+    let y = minY < maxY ? minY + random() * (maxY - minY) : this.base[1] + this.height / 2
+
+    return vec3.fromValues(this.base[0] + distance * Math.cos(angle), y, this.base[2] + distance * Math.sin(angle))
+  }
+
+  /**
+   * Returns the axis-aligned box around the cylinder.
+   *
+   * @readonly
+   *
+   * @memberOf CylinderContainer
+   */
+  get bounds () {
+    return {
+      min: vec3.fromValues(this.base[0] - this.radius, this.base[1], this.base[2] - this.radius),
+      max: vec3.fromValues(this.base[0] + this.radius, this.base[1] + this.height, this.base[2] + this.radius)
+    }
+  }
+
+  /**
+   * Returns a plain object describing the container, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the container
+   *
+   * @memberOf CylinderContainer
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      base: Array.from(this.base),
+      radius: this.radius,
+      height: this.height
+    })
+  }
+}
+
+/**
+ * An infinite horizontal floor with nothing else around it.
+ *
+ * @class PlaneContainer
+ * @extends {Container}
+ */
+class PlaneContainer extends Container {
+  /**
+   * Creates an instance of PlaneContainer.
+   * @param {number} [height=-10] Height of the floor
+   * @param {number} [spawnExtent=10] Half the width, and the height, of the region above the floor spheres are spawned in
+   * @param {any} [surfaces={}] Restitution and friction of the floor
+   *
+   * @memberOf PlaneContainer
+   */
+  constructor (height = -10, spawnExtent = 10, surfaces = {}) {
+    super(surfaces)
+    this.height = height
+    this.spawnExtent = spawnExtent
+  }
+
+  /**
+   * Given a sphere, return the contact with the floor if it is touching it.
+   *
+   * @param {any} sphere Sphere to test
+   * @returns Array of contacts
+   *
+   * @memberOf PlaneContainer
+   */
+  contacts (sphere) {
+    let penetration = this.height + sphere.radius - sphere.position[1]
+
+    if (penetration < 0) {
+      return []
+    }
+
+    return [{ wall: 'floor', normal: vec3.fromValues(0, 1, 0), penetration, surface: this.surfaces.floor }]
+  }
+
+  /**
+   * Given a radius, return a random position above the floor in the spawn region.
+   *
+   * @param {number} radius Radius of the sphere to place
+   * @param {any} [random=Math.random] Function returning a random number from 0 to 1
+   * @returns vec3 random position
+   *
+   * @memberOf PlaneContainer
+   */
+  randomPosition (radius, random = Math.random) {
+    let bounds = this.bounds
+    return vec3.fromValues(
+      bounds.min[0] + random() * (bounds.max[0] - bounds.min[0]),
+      bounds.min[1] + radius + random() * (bounds.max[1] - bounds.min[1]),
+      bounds.min[2] + random() * (bounds.max[2] - bounds.min[2])
+    )
+  }
+
+  /**
+   * Returns the axis-aligned box around the spawn region above the floor.
+   *
+   * @readonly
+   *
+   * @memberOf PlaneContainer
+   */
+  get bounds () {
+    return {
+      min: vec3.fromValues(-this.spawnExtent, this.height, -this.spawnExtent),
+      max: vec3.fromValues(this.spawnExtent, this.height + 2 * this.spawnExtent, this.spawnExtent)
+    }
+  }
+
+  /**
+   * Returns a plain object describing the container, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the container
+   *
+   * @memberOf PlaneContainer
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      height: this.height,
+      spawnExtent: this.spawnExtent
+    })
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Container, BoxContainer, OpenBoxContainer, BowlContainer, CylinderContainer, PlaneContainer }
+}
@@ -0,0 +1,133 @@
+/**
+ * Measures the physical quantities of a simulation after each epoch, to check that it behaves
+ * physically: energy should only be lost to damping, drag and inelastic collisions, and momentum
+ * should only change through external forces and contacts with the container.
+ *
+ * Keeps the most recent measurements as a rolling history, oldest first.
+ *
+ * @class Diagnostics
+ */
+class Diagnostics {
+  /**
+   * Creates an instance of Diagnostics.
+   * @param {number} [capacity=600] Maximum number of measurements kept in the history
+   *
+   * @memberOf Diagnostics
+   */
+  constructor (capacity = 600) {
+    this.capacity = capacity
+    this.enabled = true
+  }
+
+  /**
+   * Getter method for the maximum number of measurements kept in the history.
+   *
+   * @memberOf Diagnostics
+   */
+  get capacity () {
+    return this._capacity
+  }
+
+  /**
+   * Setter method for the maximum number of measurements kept in the history.
+   * Changing the capacity discards the history.
+   * @param {number} capacity Maximum number of measurements, at least 1
+   *
+   * @memberOf Diagnostics
+   */
+  set capacity (capacity) {
+    if (!(capacity >= 1)) {
+      throw Error(`Invalid diagnostics capacity: ${capacity}`)
+    }
+
+    this._capacity = Math.floor(capacity)
+    this.clear()
+  }
+
+  /**
+   * Returns the most recent measurement, or null if nothing has been measured yet.
+   *
+   * @readonly
+   *
+   * @memberOf Diagnostics
+   */
+  get latest () {
+    return this.history.length > 0 ? this.history[this.history.length - 1] : null
+  }
+
+  /**
+   * Discard the history.
+   *
+   * @memberOf Diagnostics
+   */
+  clear () {
+    this.history = []
+  }
+
+  /**
+   * Given a physics engine and the collisions counted in its last epoch, measure its current state
+   * and add the measurement to the history, dropping the oldest one if the history is full.
+   *
+   * @param {any} engine Physics engine to measure
+   * @param {number} [wallCollisions=0] Number of times spheres hit the container in the epoch
+   * @param {number} [sphereCollisions=0] Number of pairs of spheres that hit each other in the epoch
+   * @returns The new measurement
+   *
+   * @memberOf Diagnostics
+   */
+  measure (engine, wallCollisions = 0, sphereCollisions = 0) {
+    let stats = Diagnostics.statsOf(engine.sphereList, engine.forces)
+    stats.time = engine.time
+    stats.wallCollisions = wallCollisions
+    stats.sphereCollisions = sphereCollisions
+
+    this.history.push(stats)
+    if (this.history.length > this.capacity) {
+      this.history.shift()
+    }
+
+    return stats
+  }
+
+  /**
+   * Given a list of spheres and the force fields acting on them, total their energy and momentum.
+   * Kinetic energy includes the energy of rotation, since friction trades between the two.
+   * Potential energy is summed over every enabled force field that has one, such as gravity.
+   *
+   * @static
+   * @param {any} spheres Array of spheres
+   * @param {any} [forces=[]] Array of force fields
+   * @returns Object with the kineticEnergy, potentialEnergy, totalEnergy and momentum (vec3) of the spheres
+   *
+   * @memberOf Diagnostics
+   */
+  static statsOf (spheres, forces = []) {
+    let kineticEnergy = 0
+    let potentialEnergy = 0
+    let momentum = vec3.create()
+
+    spheres.forEach(sphere => {
+      let mass = sphere.mass
+      kineticEnergy += 0.5 * mass * vec3.squaredLength(sphere.velocity)
+      kineticEnergy += 0.5 * sphere.momentOfInertia * vec3.squaredLength(sphere.angularVelocity)
+      vec3.scaleAndAdd(momentum, momentum, sphere.velocity, mass)
+
+      forces.forEach(force => {
+        if (force.enabled) {
+          potentialEnergy += force.potentialEnergy(sphere)
+        }
+      })
+    })
+
+    return {
+      kineticEnergy,
+      potentialEnergy,
+      totalEnergy: kineticEnergy + potentialEnergy,
+      momentum
+    }
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Diagnostics }
+}
@@ -0,0 +1,120 @@
+/**
+ * Lets code outside the simulation subscribe to named events and be called when they happen,
+ * for things like sound effects, scoring and logging.
+ *
+ * Listeners of an event are called synchronously, in the order they subscribed. Subscribing or
+ * unsubscribing while an event is being emitted takes effect from the next emit of that event.
+ *
+ * @class EventEmitter
+ */
+class EventEmitter {
+  /**
+   * Creates an instance of EventEmitter with no listeners.
+   *
+   * @memberOf EventEmitter
+   */
+  constructor () {
+    this.eventListeners = new Map()
+  }
+
+  /**
+   * Subscribe a listener to an event.
+   *
+   * @param {string} event Name of the event
+   * @param {any} listener Function called with the details of each occurrence of the event
+   * @returns Function that unsubscribes the listener when called
+   *
+   * @memberOf EventEmitter
+   */
+  on (event, listener) {
+    if (typeof listener !== 'function') {
+      throw Error(`Listener for ${event} is not a function`)
+    }
+
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, [])
+    }
+    this.eventListeners.get(event).push(listener)
+
+    return () => this.off(event, listener)
+  }
+
+  /**
+   * Subscribe a listener to only the next occurrence of an event.
+   *
+   * @param {string} event Name of the event
+   * @param {any} listener Function called with the details of the event
+   * @returns Function that unsubscribes the listener when called, if it has not been called yet
+   *
+   * @memberOf EventEmitter
+   */
+  once (event, listener) {
+    let unsubscribe = this.on(event, details => {
+      unsubscribe()
+      listener(details)
+    })
+
+    return unsubscribe
+  }
+
+  /**
+   * Unsubscribe a listener from an event. If it subscribed more than once, only the earliest subscription is removed.
+   *
+   * @param {string} event Name of the event
+   * @param {any} listener Listener to remove
+   * @returns True if the listener was subscribed
+   *
+   * @memberOf EventEmitter
+   */
+  off (event, listener) {
+    let listeners = this.eventListeners.get(event)
+    let index = listeners === undefined ? -1 : listeners.indexOf(listener)
+    if (index === -1) {
+      return false
+    }
+
+    // Replace the array rather than splice it, so an emit in progress still sees the listeners it started with
+    let remaining = listeners.slice(0, index).concat(listeners.slice(index + 1))
+    if (remaining.length === 0) {
+      this.eventListeners.delete(event)
+    } else {
+      this.eventListeners.set(event, remaining)
+    }
+
+    return true
+  }
+
+  /**
+   * Returns true if anything is subscribed to the event, so that work to build
+   * the details of an event can be skipped when nobody is listening.
+   *
+   * @param {string} event Name of the event
+   * @returns True if the event has listeners
+   *
+   * @memberOf EventEmitter
+   */
+  hasListeners (event) {
+    return this.eventListeners.has(event)
+  }
+
+  /**
+   * Call every listener of an event with the given details.
+   *
+   * @param {string} event Name of the event
+   * @param {any} details Object describing the occurrence of the event
+   *
+   * @memberOf EventEmitter
+   */
+  emit (event, details) {
+    let listeners = this.eventListeners.get(event)
+    if (listeners === undefined) {
+      return
+    }
+
+    listeners.forEach(listener => listener(details))
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { EventEmitter }
+}
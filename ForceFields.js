@@ -0,0 +1,542 @@
+/**
+ * A force field produces a force on each sphere from its position and velocity.
+ * The physics engine sums the forces of every enabled field into the acceleration of each sphere.
+ *
+ * Subclasses implement forceOn, and may implement potentialEnergy when the force is conservative.
+ *
+ * @class ForceField
+ */
+class ForceField {
+  /**
+   * Creates an instance of ForceField, enabled.
+   *
+   * @memberOf ForceField
+   */
+  constructor () {
+    this.enabled = true
+  }
+
+  /**
+   * Getter method for whether the field currently produces a force.
+   *
+   * @memberOf ForceField
+   */
+  get enabled () {
+    return this._enabled
+  }
+
+  /**
+   * Setter method for whether the field currently produces a force.
+   * @param {boolean} enabled False to switch the field off without removing it
+   *
+   * @memberOf ForceField
+   */
+  set enabled (enabled) {
+    this._enabled = enabled
+  }
+
+  /**
+   * Given a sphere and the state to evaluate it at, return the force the field exerts on it.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf ForceField
+   */
+  forceOn (sphere, position, velocity) {
+    return vec3.create()
+  }
+
+  /**
+   * Given a sphere, return its potential energy in the field.
+   * Non-conservative fields have none.
+   *
+   * @param {any} sphere Sphere to calculate the potential energy of
+   * @returns Potential energy in joules
+   *
+   * @memberOf ForceField
+   */
+  potentialEnergy (sphere) {
+    return 0
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf ForceField
+   */
+  toJSON () {
+    return {
+      type: this.constructor.name,
+      enabled: this.enabled
+    }
+  }
+
+  /**
+   * Given a description saved by toJSON, create the force field it describes.
+   *
+   * @static
+   * @param {any} json Description of the force field
+   * @returns New force field
+   *
+   * @memberOf ForceField
+   */
+  static fromJSON (json) {
+    let fields = {
+      UniformGravity: () => new UniformGravity(vec3.clone(json.acceleration)),
+      Damping: () => new Damping(json.rate),
+      LinearDrag: () => new LinearDrag(json.coefficient),
+      QuadraticDrag: () => new QuadraticDrag(json.coefficient),
+      Wind: () => new Wind(vec3.clone(json.velocity), json.coefficient),
+      PointAttractor: () => new PointAttractor(vec3.clone(json.position), json.strength, json.minDistance),
+      Vortex: () => new Vortex(vec3.clone(json.center), vec3.clone(json.axis), json.strength, json.coreRadius)
+    }
+
+    if (!fields.hasOwnProperty(json.type)) {
+      throw Error(`Unknown force field: ${json.type}`)
+    }
+
+    let field = fields[json.type]()
+    field.enabled = json.enabled
+    return field
+  }
+}
+
+/**
+ * Uniform gravity pulling every sphere with the same acceleration, in any direction.
+ *
+ * @class UniformGravity
+ * @extends {ForceField}
+ */
+class UniformGravity extends ForceField {
+  /**
+   * Creates an instance of UniformGravity.
+   * @param {any} [acceleration=vec3.fromValues(0, -9.81, 0)] vec3 acceleration from gravity
+   *
+   * @memberOf UniformGravity
+   */
+  constructor (acceleration = vec3.fromValues(0, -9.81, 0)) {
+    super()
+    this.acceleration = acceleration
+  }
+
+  /**
+   * Returns the weight of the sphere.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf UniformGravity
+   */
+  forceOn (sphere, position, velocity) {
+    return vec3.scale(vec3.create(), this.acceleration, sphere.mass)
+  }
+
+  /**
+   * Returns the gravitational potential energy of the sphere, zero at the origin.
+   *
+   * @param {any} sphere Sphere to calculate the potential energy of
+   * @returns Potential energy in joules
+   *
+   * @memberOf UniformGravity
+   */
+  potentialEnergy (sphere) {
+    return -sphere.mass * vec3.dot(this.acceleration, sphere.position)
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf UniformGravity
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      acceleration: Array.from(this.acceleration)
+    })
+  }
+}
+
+/**
+ * Damping that decays the velocity of every sphere at the same rate, whatever its size.
+ * With the default rate and no other forces, velocity is scaled by 0.9 every second.
+ *
+ * @class Damping
+ * @extends {ForceField}
+ */
+class Damping extends ForceField {
+  /**
+   * Creates an instance of Damping.
+   * @param {number} [rate=-Math.log(0.9)] Rate of exponential velocity decay per second
+   *
+   * @memberOf Damping
+   */
+  constructor (rate = -Math.log(0.9)) {
+    super()
+    this.rate = rate
+  }
+
+  /**
+   * Returns the damping force, proportional to the mass and velocity of the sphere.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf Damping
+   */
+  forceOn (sphere, position, velocity) {
+    return vec3.scale(vec3.create(), velocity, -this.rate * sphere.mass)
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf Damping
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      rate: this.rate
+    })
+  }
+}
+
+/**
+ * Linear (Stokes) air drag, proportional to the radius and velocity of the sphere.
+ *
+ * @class LinearDrag
+ * @extends {ForceField}
+ */
+class LinearDrag extends ForceField {
+  /**
+   * Creates an instance of LinearDrag.
+   * @param {number} [coefficient=0.5] Drag force per unit radius per unit speed
+   *
+   * @memberOf LinearDrag
+   */
+  constructor (coefficient = 0.5) {
+    super()
+    this.coefficient = coefficient
+  }
+
+  /**
+   * Returns the drag force opposing the velocity of the sphere.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf LinearDrag
+   */
+  forceOn (sphere, position, velocity) {
+    return vec3.scale(vec3.create(), velocity, -this.coefficient * sphere.radius)
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf LinearDrag
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      coefficient: this.coefficient
+    })
+  }
+}
+
+/**
+ * Quadratic air drag, proportional to the cross-section of the sphere and the square of its speed.
+ *
+ * @class QuadraticDrag
+ * @extends {ForceField}
+ */
+class QuadraticDrag extends ForceField {
+  /**
+   * Creates an instance of QuadraticDrag.
+   * @param {number} [coefficient=0.05] Drag force per unit radius squared per unit speed squared
+   *
+   * @memberOf QuadraticDrag
+   */
+  constructor (coefficient = 0.05) {
+    super()
+    this.coefficient = coefficient
+  }
+
+  /**
+   * Returns the drag force opposing the velocity of the sphere.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf QuadraticDrag
+   */
+  forceOn (sphere, position, velocity) {
+    let scale = -this.coefficient * sphere.radius * sphere.radius * vec3.length(velocity)
+    return vec3.scale(vec3.create(), velocity, scale)
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf QuadraticDrag
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      coefficient: this.coefficient
+    })
+  }
+}
+
+/**
+ * Wind: quadratic drag against the air moving at the wind velocity,
+ * so spheres are pushed until they move with the wind.
+ *
+ * @class Wind
+ * @extends {ForceField}
+ */
+class Wind extends ForceField {
+  /**
+   * Creates an instance of Wind.
+   * @param {any} [velocity=vec3.fromValues(10, 0, 0)] vec3 velocity of the wind
+   * @param {number} [coefficient=0.05] Drag force per unit radius squared per unit relative speed squared
+   *
+   * @memberOf Wind
+   */
+  constructor (velocity = vec3.fromValues(10, 0, 0), coefficient = 0.05) {
+    super()
+    this.velocity = velocity
+    this.coefficient = coefficient
+  }
+
+  /**
+   * Returns the force of the wind on the sphere.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf Wind
+   */
+  forceOn (sphere, position, velocity) {
+    let relative = vec3.subtract(vec3.create(), this.velocity, velocity)
+    let scale = this.coefficient * sphere.radius * sphere.radius * vec3.length(relative)
+    return vec3.scale(relative, relative, scale)
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf Wind
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      velocity: Array.from(this.velocity),
+      coefficient: this.coefficient
+    })
+  }
+}
+
+/**
+ * A point that attracts every sphere with an inverse square force, or repels it when the strength is negative.
+ *
+ * @class PointAttractor
+ * @extends {ForceField}
+ */
+class PointAttractor extends ForceField {
+  /**
+   * Creates an instance of PointAttractor.
+   * @param {any} [position=vec3.create()] vec3 position of the attractor
+   * @param {number} [strength=100] Acceleration at unit distance; negative to repel
+   * @param {number} [minDistance=1] Distance within which the force stops growing, to avoid a singularity; at least SMALLEST_MIN_DISTANCE
+   *
+   * @memberOf PointAttractor
+   */
+  constructor (position = vec3.create(), strength = 100, minDistance = 1) {
+    super()
+    this.position = position
+    this.strength = strength
+    this.minDistance = minDistance
+  }
+
+  /**
+   * Static constant for the smallest distance within which the force stops growing,
+   * so the force and potential energy stay finite at the attractor.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf PointAttractor
+   */
+  static get SMALLEST_MIN_DISTANCE () {
+    return 0.01
+  }
+
+  /**
+   * Getter method for the distance within which the force stops growing.
+   *
+   * @memberOf PointAttractor
+   */
+  get minDistance () {
+    return this._minDistance
+  }
+
+  /**
+   * Setter method for the distance within which the force stops growing.
+   * @param {number} minDistance Distance, raised to SMALLEST_MIN_DISTANCE if smaller
+   *
+   * @memberOf PointAttractor
+   */
+  set minDistance (minDistance) {
+    this._minDistance = Math.max(minDistance, PointAttractor.SMALLEST_MIN_DISTANCE)
+  }
+
+  /**
+   * Returns the force towards (or away from) the attractor.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf PointAttractor
+   */
+  forceOn (sphere, position, velocity) {
+    let offset = vec3.subtract(vec3.create(), this.position, position)
+    let distance = Math.max(vec3.length(offset), this.minDistance)
+    return vec3.scale(offset, offset, this.strength * sphere.mass / (distance * distance * distance))
+  }
+
+  /**
+   * Returns the potential energy of the sphere, zero infinitely far from the attractor.
+   * Within minDistance the force falls linearly to zero at the attractor, so the potential
+   * there is that of a spring, meeting the inverse square potential at minDistance.
+   *
+   * @param {any} sphere Sphere to calculate the potential energy of
+   * @returns Potential energy in joules
+   *
+   * @memberOf PointAttractor
+   */
+  potentialEnergy (sphere) {
+    let distance = vec3.distance(this.position, sphere.position)
+    let scale = this.strength * sphere.mass
+
+    if (distance >= this.minDistance) {
+      return -scale / distance
+    }
+
+    let ratio = distance / this.minDistance
+    return -scale * (3 - ratio * ratio) / (2 * this.minDistance)
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf PointAttractor
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      position: Array.from(this.position),
+      strength: this.strength,
+      minDistance: this.minDistance
+    })
+  }
+}
+
+/**
+ * A vortex swirling spheres around an axis through a center point.
+ * The swirl is strongest at the core radius and fades further out.
+ *
+ * @class Vortex
+ * @extends {ForceField}
+ */
+class Vortex extends ForceField {
+  /**
+   * Creates an instance of Vortex.
+   * @param {any} [center=vec3.create()] vec3 point on the axis of the vortex
+   * @param {any} [axis=vec3.fromValues(0, 1, 0)] vec3 direction of the axis, swirling counter-clockwise around it
+   * @param {number} [strength=40] Strength of the swirl
+   * @param {number} [coreRadius=3] Distance from the axis where the swirl is strongest
+   *
+   * @memberOf Vortex
+   */
+  constructor (center = vec3.create(), axis = vec3.fromValues(0, 1, 0), strength = 40, coreRadius = 3) {
+    super()
+    this.center = center
+    this.axis = axis
+    this.strength = strength
+    this.coreRadius = coreRadius
+  }
+
+  /**
+   * Returns the swirling force around the axis.
+   *
+   * @param {any} sphere Sphere to calculate the force on
+   * @param {any} position vec3 position of the sphere
+   * @param {any} velocity vec3 velocity of the sphere
+   * @returns vec3 force on the sphere
+   *
+   * @memberOf Vortex
+   */
+  forceOn (sphere, position, velocity) {
+    let axis = vec3.normalize(vec3.create(), this.axis)
+    let offset = vec3.subtract(vec3.create(), position, this.center)
+
+    // Only the part of the offset perpendicular to the axis matters
+    vec3.scaleAndAdd(offset, offset, axis, -vec3.dot(offset, axis))
+    let distanceSquared = vec3.squaredLength(offset)
+
+    let swirl = vec3.cross(vec3.create(), axis, offset)
+    return vec3.scale(swirl, swirl, this.strength * sphere.mass / (distanceSquared + this.coreRadius * this.coreRadius))
+  }
+
+  /**
+   * Returns a plain object describing the force field, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the force field
+   *
+   * @memberOf Vortex
+   */
+  toJSON () {
+    return Object.assign(super.toJSON(), {
+      center: Array.from(this.center),
+      axis: Array.from(this.axis),
+      strength: this.strength,
+      coreRadius: this.coreRadius
+    })
+  }
+}
+
+/**
+ * Create the force fields a new physics engine starts with: gravity and the original damping.
+ *
+ * @returns Array of force fields
+ */
+function createDefaultForces () {
+  return [new UniformGravity(), new Damping()]
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ForceField, UniformGravity, Damping, LinearDrag, QuadraticDrag, Wind, PointAttractor, Vortex, createDefaultForces }
+}
@@ -0,0 +1,218 @@
+/**
+ * Explicit (forward) Euler integration: the position is advanced with the velocity from the
+ * start of the epoch, then the velocity with the acceleration from the start of the epoch.
+ * Gains energy over time, which makes it a useful contrast to the other integrators.
+ *
+ * Every integrator exposes a name and an integrate method that reads the acceleration of the
+ * sphere from the force fields and writes the sphere's new position and velocity.
+ *
+ * @class ExplicitEulerIntegrator
+ */
+class ExplicitEulerIntegrator {
+  /**
+   * Name identifying the integrator.
+   *
+   * @readonly
+   *
+   * @memberOf ExplicitEulerIntegrator
+   */
+  get name () {
+    return 'explicit-euler'
+  }
+
+  /**
+   * Advance the sphere by one epoch.
+   *
+   * @param {any} sphere Sphere to advance
+   * @param {number} timeDelta Time elapsed in the current epoch
+   * @param {any} forces Force fields acting on the sphere
+   *
+   * @memberOf ExplicitEulerIntegrator
+   */
+  integrate (sphere, timeDelta, forces) {
+    let acceleration = sphere.accelerationAt(sphere.position, sphere.velocity, forces)
+
+    let position = sphere.position
+    vec3.scaleAndAdd(position, position, sphere.velocity, timeDelta)
+    sphere.position = position
+
+    let velocity = sphere.velocity
+    vec3.scaleAndAdd(velocity, velocity, acceleration, timeDelta)
+    sphere.velocity = velocity
+  }
+}
+
+/**
+ * Semi-implicit (symplectic) Euler integration: the velocity is advanced first, then the
+ * position is advanced with the new velocity. Cheap and keeps energy bounded.
+ *
+ * @class SemiImplicitEulerIntegrator
+ */
+class SemiImplicitEulerIntegrator {
+  /**
+   * Name identifying the integrator.
+   *
+   * @readonly
+   *
+   * @memberOf SemiImplicitEulerIntegrator
+   */
+  get name () {
+    return 'semi-implicit-euler'
+  }
+
+  /**
+   * Advance the sphere by one epoch.
+   *
+   * @param {any} sphere Sphere to advance
+   * @param {number} timeDelta Time elapsed in the current epoch
+   * @param {any} forces Force fields acting on the sphere
+   *
+   * @memberOf SemiImplicitEulerIntegrator
+   */
+  integrate (sphere, timeDelta, forces) {
+    let acceleration = sphere.accelerationAt(sphere.position, sphere.velocity, forces)
+
+    let velocity = sphere.velocity
+    vec3.scaleAndAdd(velocity, velocity, acceleration, timeDelta)
+    sphere.velocity = velocity
+
+    let position = sphere.position
+    vec3.scaleAndAdd(position, position, velocity, timeDelta)
+    sphere.position = position
+  }
+}
+
+/**
+ * Velocity Verlet integration: second order accurate, using the average of the accelerations
+ * at the start and end of the epoch. Velocity-dependent forces are evaluated at the end of the
+ * epoch with a velocity predicted from the starting acceleration.
+ *
+ * @class VelocityVerletIntegrator
+ */
+class VelocityVerletIntegrator {
+  /**
+   * Name identifying the integrator.
+   *
+   * @readonly
+   *
+   * @memberOf VelocityVerletIntegrator
+   */
+  get name () {
+    return 'velocity-verlet'
+  }
+
+  /**
+   * Advance the sphere by one epoch.
+   *
+   * @param {any} sphere Sphere to advance
+   * @param {number} timeDelta Time elapsed in the current epoch
+   * @param {any} forces Force fields acting on the sphere
+   *
+   * @memberOf VelocityVerletIntegrator
+   */
+  integrate (sphere, timeDelta, forces) {
+    let acceleration = sphere.accelerationAt(sphere.position, sphere.velocity, forces)
+
+    let position = sphere.position
+    vec3.scaleAndAdd(position, position, sphere.velocity, timeDelta)
+    vec3.scaleAndAdd(position, position, acceleration, 0.5 * timeDelta * timeDelta)
+    sphere.position = position
+
+    let predictedVelocity = vec3.scaleAndAdd(vec3.create(), sphere.velocity, acceleration, timeDelta)
+    let nextAcceleration = sphere.accelerationAt(position, predictedVelocity, forces)
+
+    let velocity = sphere.velocity
+    vec3.scaleAndAdd(velocity, velocity, acceleration, 0.5 * timeDelta)
+    vec3.scaleAndAdd(velocity, velocity, nextAcceleration, 0.5 * timeDelta)
+    sphere.velocity = velocity
+  }
+}
+
+/**
+ * Classic fourth order Runge-Kutta integration of the position and velocity together.
+ * The most accurate of the integrators, at four force evaluations per epoch.
+ *
+ * @class RK4Integrator
+ */
+class RK4Integrator {
+  /**
+   * Name identifying the integrator.
+   *
+   * @readonly
+   *
+   * @memberOf RK4Integrator
+   */
+  get name () {
+    return 'rk4'
+  }
+
+  /**
+   * Advance the sphere by one epoch.
+   *
+   * @param {any} sphere Sphere to advance
+   * @param {number} timeDelta Time elapsed in the current epoch
+   * @param {any} forces Force fields acting on the sphere
+   *
+   * @memberOf RK4Integrator
+   */
+  integrate (sphere, timeDelta, forces) {
+    let position = sphere.position
+    let velocity = sphere.velocity
+
+    // Each stage is the derivative of the state: a velocity and an acceleration
+    let stage = (stepPosition, stepVelocity) => {
+      return {
+        velocity: stepVelocity,
+        acceleration: sphere.accelerationAt(stepPosition, stepVelocity, forces)
+      }
+    }
+
+    // Given a stage and a fraction of the epoch, return the state that far along it
+    let along = (derivative, fraction) => {
+      return [
+        vec3.scaleAndAdd(vec3.create(), position, derivative.velocity, timeDelta * fraction),
+        vec3.scaleAndAdd(vec3.create(), velocity, derivative.acceleration, timeDelta * fraction)
+      ]
+    }
+
+    let k1 = stage(vec3.clone(position), vec3.clone(velocity))
+    let k2 = stage(...along(k1, 0.5))
+    let k3 = stage(...along(k2, 0.5))
+    let k4 = stage(...along(k3, 1))
+
+    // Weighted average of the stages: (k1 + 2 k2 + 2 k3 + k4) / 6
+    let weights = [1, 2, 2, 1]
+    let stages = [k1, k2, k3, k4]
+    stages.forEach((k, i) => {
+      let scale = weights[i] * timeDelta / 6
+      vec3.scaleAndAdd(position, position, k.velocity, scale)
+      vec3.scaleAndAdd(velocity, velocity, k.acceleration, scale)
+    })
+
+    sphere.position = position
+    sphere.velocity = velocity
+  }
+}
+
+/**
+ * Given the name of an integrator, create a new instance of it.
+ *
+ * @param {string} name Name of the integrator, as returned by its name getter
+ * @returns New integrator instance
+ */
+function createIntegrator (name) {
+  let integrators = [ExplicitEulerIntegrator, SemiImplicitEulerIntegrator, VelocityVerletIntegrator, RK4Integrator]
+
+  for (let Integrator of integrators) {
+    let integrator = new Integrator()
+    if (integrator.name === name) {
+      return integrator
+    }
+  }
+
+  throw Error(`Unknown integrator: ${name}`)
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ExplicitEulerIntegrator, SemiImplicitEulerIntegrator, VelocityVerletIntegrator, RK4Integrator, createIntegrator }
+}
@@ -0,0 +1,144 @@
+/**
+ * A light shines ambient, diffuse and specular light on the scene, in the Phong lighting model.
+ *
+ * Subclasses describe where the light comes from by implementing eyeVector, which the shaders
+ * read as a homogeneous vector: a point light has a position (w = 1), while a directional light
+ * is infinitely far away and only has a direction (w = 0).
+ *
+ * @class Light
+ */
+class Light {
+  /**
+   * Creates an instance of Light, enabled.
+   * @param {any} [ambient=vec3.fromValues(0.1, 0.1, 0.1)] vec3 RGB ambient light color
+   * @param {any} [diffuse=vec3.fromValues(1, 1, 1)] vec3 RGB diffuse light color
+   * @param {any} [specular=vec3.fromValues(1, 1, 1)] vec3 RGB specular light color
+   *
+   * @memberOf Light
+   */
+  constructor (ambient = vec3.fromValues(0.1, 0.1, 0.1), diffuse = vec3.fromValues(1, 1, 1), specular = vec3.fromValues(1, 1, 1)) {
+    this.ambient = ambient
+    this.diffuse = diffuse
+    this.specular = specular
+    this.enabled = true
+  }
+
+  /**
+   * Static constant for the most lights the shaders can light the scene with at once.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Light
+   */
+  static get MAX_LIGHTS () {
+    return 4
+  }
+
+  /**
+   * Getter method for whether the light currently shines.
+   *
+   * @memberOf Light
+   */
+  get enabled () {
+    return this._enabled
+  }
+
+  /**
+   * Setter method for whether the light currently shines.
+   * @param {boolean} enabled False to switch the light off without removing it
+   *
+   * @memberOf Light
+   */
+  set enabled (enabled) {
+    this._enabled = enabled
+  }
+
+  /**
+   * Given the view matrix, return where the light comes from in eye coordinates.
+   *
+   * @param {any} viewMatrix mat4 taking world coordinates to eye coordinates
+   * @returns vec4 position (w = 1) or direction towards the light (w = 0)
+   *
+   * @memberOf Light
+   */
+  eyeVector (viewMatrix) {
+    return vec4.fromValues(0, 1, 0, 0)
+  }
+}
+
+/**
+ * A light at a point in the world, shining in every direction.
+ *
+ * @class PointLight
+ * @extends {Light}
+ */
+class PointLight extends Light {
+  /**
+   * Creates an instance of PointLight.
+   * @param {any} position vec3 position of the light in world coordinates
+   * @param {any} [ambient] vec3 RGB ambient light color
+   * @param {any} [diffuse] vec3 RGB diffuse light color
+   * @param {any} [specular] vec3 RGB specular light color
+   *
+   * @memberOf PointLight
+   */
+  constructor (position, ambient, diffuse, specular) {
+    super(ambient, diffuse, specular)
+    this.position = position
+  }
+
+  /**
+   * Given the view matrix, return the position of the light in eye coordinates.
+   *
+   * @param {any} viewMatrix mat4 taking world coordinates to eye coordinates
+   * @returns vec4 position, with w = 1
+   *
+   * @memberOf PointLight
+   */
+  eyeVector (viewMatrix) {
+    let position = vec4.fromValues(this.position[0], this.position[1], this.position[2], 1)
+    return vec4.transformMat4(position, position, viewMatrix)
+  }
+}
+
+/**
+ * A light infinitely far away, like the sun, shining along the same direction everywhere.
+ *
+ * @class DirectionalLight
+ * @extends {Light}
+ */
+class DirectionalLight extends Light {
+  /**
+   * Creates an instance of DirectionalLight.
+   * @param {any} direction vec3 direction the light travels in, in world coordinates
+   * @param {any} [ambient] vec3 RGB ambient light color
+   * @param {any} [diffuse] vec3 RGB diffuse light color
+   * @param {any} [specular] vec3 RGB specular light color
+   *
+   * @memberOf DirectionalLight
+   */
+  constructor (direction, ambient, diffuse, specular) {
+    super(ambient, diffuse, specular)
+    this.direction = direction
+  }
+
+  /**
+   * Given the view matrix, return the direction towards the light in eye coordinates.
+   * With w = 0 the view matrix only rotates the direction, without moving it.
+   *
+   * @param {any} viewMatrix mat4 taking world coordinates to eye coordinates
+   * @returns vec4 unit direction towards the light, with w = 0
+   *
+   * @memberOf DirectionalLight
+   */
+  eyeVector (viewMatrix) {
+    let direction = vec4.fromValues(-this.direction[0], -this.direction[1], -this.direction[2], 0)
+    vec4.transformMat4(direction, direction, viewMatrix)
+    return vec4.normalize(direction, direction)
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Light, PointLight, DirectionalLight }
+}
@@ -0,0 +1,212 @@
+/**
+ * A material describes what a sphere is made of: its density, how it bounces and slides,
+ * and the color and shine it is drawn with. Densities are relative to water.
+ *
+ * @class Material
+ */
+class Material {
+  /**
+   * Creates an instance of Material.
+   * @param {string} name Name of the material
+   * @param {number} [density=1] Mass per unit volume, relative to water
+   * @param {number} [restitution=1] Coefficient of restitution
+   * @param {number} [friction=0] Coulomb coefficient of friction
+   * @param {any} [color=null] vec3 RGB color, or null for a random color
+   * @param {any} [specular=vec3.fromValues(0.5, 0.5, 0.5)] vec3 RGB color of specular highlights
+   * @param {number} [shininess=32] Specular exponent; higher is shinier, with smaller highlights
+   *
+   * @memberOf Material
+   */
+  constructor (name, density = 1, restitution = 1, friction = 0, color = null,
+    specular = vec3.fromValues(0.5, 0.5, 0.5), shininess = 32) {
+    this.name = name
+    this.density = density
+    this.restitution = restitution
+    this.friction = friction
+    this.color = color
+    this.specular = specular
+    this.shininess = shininess
+  }
+
+  /**
+   * Static constant for the material spheres are made of unless told otherwise:
+   * as dense as water, perfectly elastic, frictionless and randomly colored.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Material
+   */
+  static get DEFAULT () {
+    return new Material('default')
+  }
+
+  /**
+   * Static constant for a bouncy, grippy rubber.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Material
+   */
+  static get RUBBER () {
+    return new Material('rubber', 1.1, 0.85, 0.9, vec3.fromValues(0.8, 0.1, 0.1), vec3.fromValues(0.2, 0.2, 0.2), 8)
+  }
+
+  /**
+   * Static constant for a heavy steel.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Material
+   */
+  static get STEEL () {
+    return new Material('steel', 7.85, 0.6, 0.4, vec3.fromValues(0.6, 0.6, 0.65), vec3.fromValues(0.9, 0.9, 0.9), 96)
+  }
+
+  /**
+   * Static constant for a light wood.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Material
+   */
+  static get WOOD () {
+    return new Material('wood', 0.7, 0.5, 0.5, vec3.fromValues(0.55, 0.35, 0.15), vec3.fromValues(0.15, 0.15, 0.15), 12)
+  }
+
+  /**
+   * Given the name of a preset, return a new instance of that material.
+   *
+   * @static
+   * @param {string} name Name of the preset: default, rubber, steel or wood
+   * @returns New material
+   *
+   * @memberOf Material
+   */
+  static preset (name) {
+    let presets = {
+      default: () => Material.DEFAULT,
+      rubber: () => Material.RUBBER,
+      steel: () => Material.STEEL,
+      wood: () => Material.WOOD
+    }
+
+    if (!presets.hasOwnProperty(name)) {
+      throw Error(`Unknown material: ${name}`)
+    }
+
+    return presets[name]()
+  }
+
+  /**
+   * Returns a plain object describing the material, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the material
+   *
+   * @memberOf Material
+   */
+  toJSON () {
+    return {
+      name: this.name,
+      density: this.density,
+      restitution: this.restitution,
+      friction: this.friction,
+      color: this.color === null ? null : Array.from(this.color),
+      specular: Array.from(this.specular),
+      shininess: this.shininess
+    }
+  }
+
+  /**
+   * Given a description saved by toJSON, create the material it describes.
+   *
+   * @static
+   * @param {any} json Description of the material
+   * @returns New material
+   *
+   * @memberOf Material
+   */
+  static fromJSON (json) {
+    // Snapshots saved before materials had a shine leave the defaults
+    return new Material(json.name, json.density, json.restitution, json.friction,
+      json.color === null ? null : vec3.clone(json.color),
+      json.specular === undefined ? undefined : vec3.clone(json.specular), json.shininess)
+  }
+}
+
+/**
+ * A shading material describes how a surface reflects light in the Phong lighting model:
+ * the colors it reflects of ambient, diffuse and specular light, and how tight its highlights are.
+ *
+ * @class ShadingMaterial
+ */
+class ShadingMaterial {
+  /**
+   * Creates an instance of ShadingMaterial.
+   * @param {any} [ambient=vec3.fromValues(1, 1, 1)] vec3 RGB reflectivity of ambient light
+   * @param {any} [diffuse=vec3.fromValues(1, 1, 1)] vec3 RGB reflectivity of diffuse light
+   * @param {any} [specular=vec3.fromValues(0.5, 0.5, 0.5)] vec3 RGB reflectivity of specular light
+   * @param {number} [shininess=32] Specular exponent
+   *
+   * @memberOf ShadingMaterial
+   */
+  constructor (ambient = vec3.fromValues(1, 1, 1), diffuse = vec3.fromValues(1, 1, 1),
+    specular = vec3.fromValues(0.5, 0.5, 0.5), shininess = 32) {
+    this.ambient = ambient
+    this.diffuse = diffuse
+    this.specular = specular
+    this.shininess = shininess
+  }
+
+  /**
+   * Given a color, return a shading material that reflects ambient and diffuse light in that color,
+   * with white highlights rather than highlights in the color.
+   *
+   * @static
+   * @param {any} color vec3 RGB color
+   * @param {any} [specular=vec3.fromValues(0.5, 0.5, 0.5)] vec3 RGB reflectivity of specular light
+   * @param {number} [shininess=32] Specular exponent
+   * @returns New shading material
+   *
+   * @memberOf ShadingMaterial
+   */
+  static fromColor (color, specular = vec3.fromValues(0.5, 0.5, 0.5), shininess = 32) {
+    return new ShadingMaterial(vec3.clone(color), vec3.clone(color), vec3.clone(specular), shininess)
+  }
+
+  /**
+   * Returns a plain object describing the shading material, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the shading material
+   *
+   * @memberOf ShadingMaterial
+   */
+  toJSON () {
+    return {
+      ambient: Array.from(this.ambient),
+      diffuse: Array.from(this.diffuse),
+      specular: Array.from(this.specular),
+      shininess: this.shininess
+    }
+  }
+
+  /**
+   * Given a description saved by toJSON, create the shading material it describes.
+   *
+   * @static
+   * @param {any} json Description of the shading material
+   * @returns New shading material
+   *
+   * @memberOf ShadingMaterial
+   */
+  static fromJSON (json) {
+    return new ShadingMaterial(vec3.clone(json.ambient), vec3.clone(json.diffuse), vec3.clone(json.specular), json.shininess)
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Material, ShadingMaterial }
+}
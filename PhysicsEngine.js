@@ -1,59 +1,817 @@
 /**
  * Containing class to contain all of the spheres, and
  * expose a method to advance all of the simulated objects
- * by one epoch.
+ * by one epoch, resolving any collisions between spheres.
  *
- * Also exposes a method to add a sphere, as well as reset
- * all spheres.
+ * Wall-clock time is fed in through advance, which runs as many
+ * fixed-length epochs as fit in the elapsed time so the motion
+ * does not depend on the frame rate.
+ *
+ * Also exposes methods to add and remove spheres, as well as reset
+ * all spheres. Every sphere added gets an id, unique for the life of
+ * the engine, by which it can be looked up and removed.
+ *
+ * Emits these events, in this order within an epoch:
+ *   beforeStep { time, timeDelta }
+ *   wallHit { sphere, wall, normal, speed } for each bounce, in sphere list order
+ *   sphereCollision { a, b, impulse } for each pair that hit each other, with the impulse applied to b
+ *   sphereRemoved { sphere, reason: 'expired' } for each sphere that outlived its lifetime
+ *   afterStep { time, timeDelta }
+ * and sphereAdded { sphere } and sphereRemoved { sphere, reason } whenever the sphere list changes
+ * otherwise, with a reason of 'removed', 'evicted', 'reset' or 'restored'.
  *
  * @class PhysicsEngine
+ * @extends {EventEmitter}
  */
-class PhysicsEngine {
+class PhysicsEngine extends EventEmitter {
   /**
    * Creates an instance of PhysicsEngine.
    *
    * Instantiates the sphere list as an empty list.
+   * @param {any} [broadPhase=new SpatialHashBroadPhase()] Broad-phase used to find candidate colliding pairs
+   * @param {any} [integrator=new SemiImplicitEulerIntegrator()] Integrator used for spheres without their own
    *
    * @memberOf PhysicsEngine
    */
-  constructor () {
+  constructor (broadPhase = new SpatialHashBroadPhase(), integrator = new SemiImplicitEulerIntegrator()) {
+    super()
+    this.nextSphereId = 1
     this.sphereList = []
+    this.broadPhase = broadPhase
+    this.integrator = integrator
+    this.container = new BoxContainer()
+    this.forces = createDefaultForces()
+    this.random = new Random()
+    this.recorder = new Recorder()
+    this.diagnostics = new Diagnostics()
+
+    this.maxSpheres = Infinity
+    this.populationPolicy = 'reject'
+    this.continuousCollisions = false
+    this.sleepEnabled = true
+
+    this.fixedTimeStep = 1 / 120
+    this.maxStepsPerFrame = 8
+    this.accumulator = 0
+    this.time = 0
+  }
+
+  /**
+   * Creates a sphere with a random radius and velocity at a random position inside the container.
+   * Every random choice comes from the engine's seeded random number generator.
+   *
+   * @param {any} [material=Material.DEFAULT] Material to make the sphere out of
+   * @returns The new sphere, not yet added to the simulation
+   *
+   * @memberOf PhysicsEngine
+   */
+  createSphere (material = Material.DEFAULT) {
+    let radius = this.random.range(0, 2)
+    let speed = this.random.range(0, 100)
+
+    let sphere = new Sphere(radius, speed, material, this.random)
+    sphere.position = this.container.randomPosition(radius, () => this.random.next())
+    sphere.previousPosition = vec3.clone(sphere.position)
+    return sphere
+  }
+
+  /**
+   * Static constant for the policies for adding a sphere when the population is at maxSpheres:
+   * reject leaves the simulation unchanged, evict-oldest removes the spheres added longest ago to make room.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf PhysicsEngine
+   */
+  static get POPULATION_POLICIES () {
+    return ['reject', 'evict-oldest']
   }
 
   /**
-   * Adds a sphere to the simulation.
+   * Adds a sphere to the simulation, giving it an id if it does not have one.
    * The sphere will be animated starting with the next tick.
    *
-   * @param {any} [toAdd=new Sphere()] Sphere to add
+   * @param {any} [toAdd=this.createSphere()] Sphere to add
+   * @returns True if the sphere was added, false if the population is full and the policy is to reject it
    *
    * @memberOf PhysicsEngine
    */
-  addSphere (toAdd = new Sphere()) {
+  addSphere (toAdd = this.createSphere()) {
+    if (this.sphereList.length >= this.maxSpheres) {
+      if (this.populationPolicy === 'reject') {
+        return false
+      }
+
+      let evicted = this.sphereList.splice(0, this.sphereList.length - this.maxSpheres + 1)
+      evicted.forEach(sphere => this.unregisterSphere(sphere, 'evicted'))
+    }
+
+    this.registerSphere(toAdd)
     this.sphereList.push(toAdd)
+    this.emit('sphereAdded', { sphere: toAdd })
+
+    return true
+  }
+
+  /**
+   * Removes the sphere with the given id from the simulation.
+   *
+   * @param {number} id Id of the sphere to remove
+   * @returns True if a sphere with the id was in the simulation
+   *
+   * @memberOf PhysicsEngine
+   */
+  removeSphere (id) {
+    let sphere = this.getSphere(id)
+    if (sphere === null) {
+      return false
+    }
+
+    this.sphereList.splice(this.sphereList.indexOf(sphere), 1)
+    this.unregisterSphere(sphere, 'removed')
+
+    return true
+  }
+
+  /**
+   * Returns the sphere with the given id, so it can be followed across epochs.
+   *
+   * @param {number} id Id of the sphere
+   * @returns The sphere, or null if no sphere in the simulation has the id
+   *
+   * @memberOf PhysicsEngine
+   */
+  getSphere (id) {
+    let sphere = this.spheresById.get(id)
+    return sphere === undefined ? null : sphere
+  }
+
+  /**
+   * Removes every sphere that has outlived its lifetime.
+   *
+   * @returns Number of spheres removed
+   *
+   * @memberOf PhysicsEngine
+   */
+  removeExpiredSpheres () {
+    let expired = this.sphereList.filter(sphere => sphere.expired)
+    if (expired.length === 0) {
+      return 0
+    }
+
+    // The survivors are already indexed, so bypass the setter
+    this._sphereList = this.sphereList.filter(sphere => !sphere.expired)
+    expired.forEach(sphere => this.unregisterSphere(sphere, 'expired'))
+
+    return expired.length
+  }
+
+  /**
+   * Given a sphere joining the simulation, give it the next id if it has none and index it by id.
+   *
+   * @param {any} sphere Sphere to index
+   *
+   * @memberOf PhysicsEngine
+   */
+  registerSphere (sphere) {
+    if (sphere.id === null) {
+      sphere.id = this.nextSphereId
+    } else if (this.spheresById.has(sphere.id)) {
+      throw Error(`Duplicate sphere id: ${sphere.id}`)
+    }
+
+    this.nextSphereId = Math.max(this.nextSphereId, sphere.id + 1)
+    this.spheresById.set(sphere.id, sphere)
+  }
+
+  /**
+   * Given a list of spheres, give each one without an id the next free id, and index them by id.
+   * The engine is left unchanged, so a list with a repeated id can be rejected before anything is replaced.
+   *
+   * @static
+   * @param {any} list Array of spheres
+   * @param {number} nextSphereId Id to give the first sphere without one
+   * @returns Object with the map from id to sphere and the next free id after them
+   *
+   * @memberOf PhysicsEngine
+   */
+  static indexSpheres (list, nextSphereId) {
+    let spheresById = new Map()
+
+    list.forEach(sphere => {
+      if (sphere.id === null) {
+        sphere.id = nextSphereId
+      } else if (spheresById.has(sphere.id)) {
+        throw Error(`Duplicate sphere id: ${sphere.id}`)
+      }
+
+      nextSphereId = Math.max(nextSphereId, sphere.id + 1)
+      spheresById.set(sphere.id, sphere)
+    })
+
+    return { spheresById, nextSphereId }
+  }
+
+  /**
+   * Given a sphere that has left the sphere list, remove it from the index and announce its removal.
+   *
+   * @param {any} sphere Sphere that was removed
+   * @param {string} reason Why the sphere was removed
+   *
+   * @memberOf PhysicsEngine
+   */
+  unregisterSphere (sphere, reason) {
+    this.spheresById.delete(sphere.id)
+    this.emit('sphereRemoved', { sphere, reason })
+
+    // Spheres resting on the one removed may have lost their support
+    this.wakeAll()
+  }
+
+  /**
+   * Wake every sleeping sphere. Called whenever the world changes in a way that
+   * may move spheres at rest, such as a change to the force fields or the container.
+   *
+   * @memberOf PhysicsEngine
+   */
+  wakeAll () {
+    this.sphereList.forEach(sphere => sphere.wake())
+  }
+
+  /**
+   * Adds a force field to the simulation, acting on every sphere from the next tick.
+   *
+   * @param {any} force Force field to add
+   * @returns The added force field, for tweaking or removing later
+   *
+   * @memberOf PhysicsEngine
+   */
+  addForce (force) {
+    this.forces.push(force)
+    this.wakeAll()
+    return force
+  }
+
+  /**
+   * Removes a force field from the simulation.
+   *
+   * @param {any} force Force field to remove
+   * @returns True if the force field was in the simulation
+   *
+   * @memberOf PhysicsEngine
+   */
+  removeForce (force) {
+    let index = this.forces.indexOf(force)
+    if (index === -1) {
+      return false
+    }
+
+    this.forces.splice(index, 1)
+    this.wakeAll()
+    return true
   }
 
   /**
    * Reset the spherelist by removing all spheres.
-   * This will reset the animation the the initial stage.
+   * This will reset the animation the the initial stage,
+   * restarting the clock and discarding any recording.
+   * Ids keep counting up, so an id is never reused for a different sphere.
    *
    * @memberOf PhysicsEngine
    */
   resetSpheres () {
+    let removed = this.sphereList
     this.sphereList = []
+    removed.forEach(sphere => this.emit('sphereRemoved', { sphere, reason: 'reset' }))
+    this.time = 0
+
+    if (this.recorder !== null) {
+      this.recorder.clear()
+    }
+    if (this.diagnostics !== null) {
+      this.diagnostics.clear()
+    }
+  }
+
+  /**
+   * Static constant for the fraction of the overlap between two spheres
+   * that is corrected by moving them apart in a single epoch.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf PhysicsEngine
+   */
+  static get POSITION_CORRECTION () {
+    return 0.8
+  }
+
+  /**
+   * Static constant for the overlap between two spheres that is allowed
+   * without positional correction, to keep resting spheres from jittering.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf PhysicsEngine
+   */
+  static get PENETRATION_SLOP () {
+    return 0.001
+  }
+
+  /**
+   * Static constant for the version of the snapshot format written by toJSON.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf PhysicsEngine
+   */
+  static get SNAPSHOT_VERSION () {
+    return 1
+  }
+
+  /**
+   * Returns a versioned snapshot of the full state of the simulation: every sphere,
+   * plus the settings, container and force fields of the engine.
+   * Called by JSON.stringify, so the engine can be stringified directly.
+   *
+   * @returns JSON-compatible snapshot
+   *
+   * @memberOf PhysicsEngine
+   */
+  toJSON () {
+    return {
+      version: PhysicsEngine.SNAPSHOT_VERSION,
+      settings: {
+        time: this.time,
+        fixedTimeStep: this.fixedTimeStep,
+        maxStepsPerFrame: this.maxStepsPerFrame,
+        seed: this.random.seed,
+        nextSphereId: this.nextSphereId,
+        maxSpheres: this.maxSpheres === Infinity ? null : this.maxSpheres,
+        populationPolicy: this.populationPolicy,
+        continuousCollisions: this.continuousCollisions,
+        sleepEnabled: this.sleepEnabled,
+        randomState: this.random.state,
+        integrator: this.integrator.name,
+        broadPhase: this.broadPhase.toJSON()
+      },
+      container: this.container.toJSON(),
+      forces: this.forces.map(force => force.toJSON()),
+      spheres: this.sphereList.map(sphere => sphere.toJSON())
+    }
+  }
+
+  /**
+   * Given a snapshot created by toJSON, replace the whole state of the simulation with it.
+   *
+   * @param {any} snapshot Snapshot object, or the JSON string of one
+   *
+   * @memberOf PhysicsEngine
+   */
+  restore (snapshot) {
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot)
+    }
+
+    if (snapshot.version !== PhysicsEngine.SNAPSHOT_VERSION) {
+      throw Error(`Unsupported snapshot version: ${snapshot.version}`)
+    }
+
+    // Build every part first, so a snapshot that fails to load leaves the simulation as it was
+    let settings = snapshot.settings
+    let random = new Random(settings.seed)
+    random.state = settings.randomState
+    let integrator = createIntegrator(settings.integrator)
+    let broadPhase = broadPhaseFromJSON(settings.broadPhase)
+    let container = Container.fromJSON(snapshot.container)
+    let forces = snapshot.forces.map(force => ForceField.fromJSON(force))
+    let spheres = snapshot.spheres.map(sphere => Sphere.fromJSON(sphere))
+    let index = PhysicsEngine.indexSpheres(spheres, settings.nextSphereId || 1)
+
+    // Settings missing from older snapshots fall back to the defaults. These are checked by their
+    // setters, so put back the ones already set if a later one is invalid
+    let checked = {
+      fixedTimeStep: settings.fixedTimeStep,
+      maxStepsPerFrame: settings.maxStepsPerFrame,
+      maxSpheres: settings.maxSpheres === undefined || settings.maxSpheres === null ? Infinity : settings.maxSpheres,
+      populationPolicy: settings.populationPolicy || 'reject'
+    }
+    let previous = {
+      fixedTimeStep: this.fixedTimeStep,
+      maxStepsPerFrame: this.maxStepsPerFrame,
+      maxSpheres: this.maxSpheres,
+      populationPolicy: this.populationPolicy
+    }
+    try {
+      Object.assign(this, checked)
+    } catch (e) {
+      Object.assign(this, previous)
+      throw e
+    }
+
+    this.time = settings.time || 0
+    this.random = random
+    this.integrator = integrator
+    this.broadPhase = broadPhase
+    this.container = container
+    this.forces = forces
+    this.continuousCollisions = settings.continuousCollisions || false
+    this.sleepEnabled = settings.sleepEnabled === undefined ? true : settings.sleepEnabled
+
+    let removed = this.sphereList
+    this._sphereList = spheres
+    this.spheresById = index.spheresById
+    this.nextSphereId = index.nextSphereId
+    removed.forEach(sphere => this.emit('sphereRemoved', { sphere, reason: 'restored' }))
+    this.sphereList.forEach(sphere => this.emit('sphereAdded', { sphere }))
+
+    this.accumulator = 0
+
+    if (this.recorder !== null) {
+      this.recorder.clear()
+    }
+    if (this.diagnostics !== null) {
+      this.diagnostics.clear()
+    }
   }
 
   /**
    * Performs a single epoch-- advances each projectile by
-   * one epoch.
+   * one epoch, then resolves collisions between the spheres.
+   * The resulting state is captured by the recorder and measured
+   * by the diagnostics, if there are any.
    *
    * @param {any} timeDelta Time elapsed in the given epoch
    *
    * @memberOf PhysicsEngine
    */
   tick (timeDelta) {
+    this.emit('beforeStep', { time: this.time, timeDelta })
+
+    let wallCollisions = 0
+    let onBounceFor = sphere => (contact, speed) => {
+      wallCollisions++
+
+      // Many spheres can bounce in an epoch, so only build their details for a listener
+      if (this.hasListeners('wallHit')) {
+        this.emit('wallHit', { sphere, wall: contact.wall, normal: contact.normal, speed })
+      }
+    }
+
     this.sphereList.forEach((sphere) => {
-      sphere.tick(timeDelta)
+      sphere.tick(timeDelta, this.integrator, this.container, this.forces, onBounceFor(sphere), this.continuousCollisions)
+    })
+
+    let sphereCollisions = this.continuousCollisions ? this.sweepSphereCollisions(timeDelta, onBounceFor) : 0
+    sphereCollisions += this.handleSphereCollisions()
+
+    if (this.sleepEnabled) {
+      this.sphereList.forEach(sphere => sphere.updateSleep(timeDelta))
+    }
+    this.time += timeDelta
+    this.removeExpiredSpheres()
+
+    if (this.recorder !== null && this.recorder.enabled) {
+      this.recorder.capture(this)
+    }
+    if (this.diagnostics !== null && this.diagnostics.enabled) {
+      this.diagnostics.measure(this, wallCollisions, sphereCollisions)
+    }
+
+    this.emit('afterStep', { time: this.time, timeDelta })
+  }
+
+  /**
+   * Returns the measurement of the latest epoch: kinetic and potential energy, total momentum,
+   * and the number of wall and sphere collisions. If there are no diagnostics, or no epoch has run
+   * since they were cleared, the energy and momentum are measured now and the counts are zero.
+   *
+   * @readonly
+   *
+   * @memberOf PhysicsEngine
+   */
+  get stats () {
+    let latest = this.diagnostics === null ? null : this.diagnostics.latest
+    if (latest !== null) {
+      return latest
+    }
+
+    let stats = Diagnostics.statsOf(this.sphereList, this.forces)
+    stats.time = this.time
+    stats.wallCollisions = 0
+    stats.sphereCollisions = 0
+    return stats
+  }
+
+  /**
+   * Given the wall-clock time elapsed since the last frame, run as many fixed-length
+   * epochs as have accumulated. At most maxStepsPerFrame epochs are run; any time
+   * beyond that is dropped so a long pause does not produce a burst of epochs.
+   *
+   * @param {number} frameTime Time elapsed since the last frame in seconds
+   * @returns Number of epochs run
+   *
+   * @memberOf PhysicsEngine
+   */
+  advance (frameTime) {
+    this.accumulator += Math.max(frameTime, 0)
+
+    let steps = 0
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+      this.tick(this.fixedTimeStep)
+      this.accumulator -= this.fixedTimeStep
+      steps++
+    }
+
+    if (this.accumulator >= this.fixedTimeStep) {
+      this.accumulator = 0
+    }
+
+    return steps
+  }
+
+  /**
+   * Returns how far the accumulated time is between the previous and current epoch,
+   * from 0 to 1, for interpolating sphere positions when drawing.
+   *
+   * @readonly
+   *
+   * @memberOf PhysicsEngine
+   */
+  get interpolationAlpha () {
+    return this.accumulator / this.fixedTimeStep
+  }
+
+  /**
+   * Checks every candidate pair from the broad-phase for overlap and resolves each colliding pair.
+   *
+   * @returns Number of pairs that collided, exchanging an impulse; resting and separating contacts are not counted
+   *
+   * @memberOf PhysicsEngine
+   */
+  handleSphereCollisions () {
+    let collisions = 0
+
+    this.broadPhase.update(this.sphereList)
+    this.broadPhase.forEachCandidatePair((a, b) => {
+      if (this.resolveSphereCollision(a, b)) {
+        collisions++
+      }
+    })
+
+    return collisions
+  }
+
+  /**
+   * Finds the pairs of spheres whose paths during the last epoch crossed although they may
+   * no longer overlap, such as small fast spheres passing through each other. Each pair is
+   * rewound to the moment it touched, collided there, and carried on for the rest of the epoch,
+   * bouncing off the container on the way if need be.
+   *
+   * Impacts are handled earliest first, and a sphere takes part in at most one per epoch since
+   * its path afterwards is no longer the one the other impacts were found on.
+   *
+   * @param {number} timeDelta Length of the epoch
+   * @param {any} [onBounceFor] Function that, given a sphere, returns the function to call for each of its bounces off the container
+   * @returns Number of pairs collided
+   *
+   * @memberOf PhysicsEngine
+   */
+  sweepSphereCollisions (timeDelta, onBounceFor = sphere => null) {
+    // The ball around each path, so the broad-phase finds every pair whose paths may cross
+    let paths = this.sphereList.map(sphere => ({
+      sphere,
+      position: vec3.lerp(vec3.create(), sphere.previousPosition, sphere.position, 0.5),
+      radius: sphere.radius + vec3.distance(sphere.previousPosition, sphere.position) / 2
+    }))
+
+    let impacts = []
+    this.broadPhase.update(paths)
+    this.broadPhase.forEachCandidatePair((a, b) => {
+      let time = Sphere.timeOfImpact(a.sphere, b.sphere)
+      if (time !== null) {
+        impacts.push({ a: a.sphere, b: b.sphere, time })
+      }
     })
+
+    // Array sorting is stable, so impacts at the same moment keep the broad-phase order
+    impacts.sort((first, second) => first.time - second.time)
+
+    let swept = new Set()
+    let collisions = 0
+
+    impacts.forEach(({ a, b, time }) => {
+      if (swept.has(a) || swept.has(b)) {
+        return
+      }
+      swept.add(a)
+      swept.add(b)
+
+      a.position = vec3.lerp(vec3.create(), a.previousPosition, a.position, time)
+      b.position = vec3.lerp(vec3.create(), b.previousPosition, b.position, time)
+
+      let normal = vec3.subtract(vec3.create(), b.position, a.position)
+      let distance = vec3.length(normal)
+      if (distance === 0) {
+        vec3.set(normal, 0, 1, 0)
+      } else {
+        vec3.scale(normal, normal, 1 / distance)
+      }
+
+      if (this.collideSpheres(a, b, normal)) {
+        collisions++
+      }
+
+      let remaining = (1 - time) * timeDelta
+      let carryOn = sphere => {
+        if (sphere.held) {
+          return
+        }
+
+        let impact = sphere.position
+        sphere.position = vec3.scaleAndAdd(vec3.create(), impact, sphere.velocity, remaining)
+        sphere.sweepCollisions(remaining, this.container, onBounceFor(sphere), impact)
+        sphere.handleCollisions(remaining, this.container, onBounceFor(sphere))
+      }
+      carryOn(a)
+      carryOn(b)
+    })
+
+    return collisions
+  }
+
+  /**
+   * Returns every sphere that intersects the ball of the given radius around a point.
+   *
+   * @param {any} point vec3 center of the query
+   * @param {number} [radius=0] Radius of the query around the point
+   * @returns Array of spheres near the point
+   *
+   * @memberOf PhysicsEngine
+   */
+  spheresNear (point, radius = 0) {
+    this.broadPhase.update(this.sphereList)
+    return this.broadPhase.queryPoint(point, radius)
+  }
+
+  /**
+   * Returns every sphere that intersects the given axis-aligned box.
+   *
+   * @param {any} min vec3 minimum corner of the box
+   * @param {any} max vec3 maximum corner of the box
+   * @returns Array of spheres in the box
+   *
+   * @memberOf PhysicsEngine
+   */
+  spheresInBox (min, max) {
+    this.broadPhase.update(this.sphereList)
+    return this.broadPhase.queryBox(min, max)
+  }
+
+  /**
+   * Given a ray, return the sphere it hits first. Every sphere is tested, as the broad-phase
+   * answers queries about points and boxes rather than rays.
+   *
+   * @param {any} origin vec3 start of the ray
+   * @param {any} direction vec3 unit direction of the ray
+   * @param {number} [alpha=1] Fraction of the way from the previous to the current epoch to put the spheres at
+   * @returns Object with the sphere hit and the distance along the ray to it, or null if the ray hits nothing
+   *
+   * @memberOf PhysicsEngine
+   */
+  raycast (origin, direction, alpha = 1) {
+    let nearest = null
+    this.sphereList.forEach(sphere => {
+      let distance = sphere.intersectRay(origin, direction, sphere.interpolatedPosition(alpha))
+      if (distance !== null && (nearest === null || distance < nearest.distance)) {
+        nearest = { sphere, distance }
+      }
+    })
+
+    return nearest
+  }
+
+  /**
+   * Given two spheres, separate them if they overlap and, if they are moving
+   * towards each other, collide them.
+   *
+   * @param {Sphere} a First sphere of the pair
+   * @param {Sphere} b Second sphere of the pair
+   * @returns True if the spheres hit each other, by the same rule as a sphere hitting the container
+   *
+   * @memberOf PhysicsEngine
+   */
+  resolveSphereCollision (a, b) {
+    let reach = a.radius + b.radius
+    if (vec3.squaredDistance(a.position, b.position) >= reach * reach) {
+      return false
+    }
+
+    let normal = vec3.create()
+    vec3.subtract(normal, b.position, a.position)
+
+    // However gently a held sphere is pushed into a sleeping one, it moves it
+    if (a.held || b.held) {
+      a.wake()
+      b.wake()
+    }
+
+    // Two sleeping spheres stay as they are until something wakes one of them,
+    // and two held spheres stay wherever they are held
+    if ((a.sleeping && b.sleeping) || (a.held && b.held)) {
+      return false
+    }
+
+    let distance = vec3.length(normal)
+    let overlap = reach - distance
+
+    // Coincident centers have no meaningful direction, so pick one
+    if (distance === 0) {
+      vec3.set(normal, 0, 1, 0)
+    } else {
+      vec3.scale(normal, normal, 1 / distance)
+    }
+
+    let inverseMassA = a.inverseMass
+    let inverseMassB = b.inverseMass
+    let inverseMassSum = inverseMassA + inverseMassB
+
+    // Push the spheres apart in proportion to their inverse masses
+    let correction = Math.max(overlap - PhysicsEngine.PENETRATION_SLOP, 0) * PhysicsEngine.POSITION_CORRECTION / inverseMassSum
+
+    let positionA = a.position
+    vec3.scaleAndAdd(positionA, positionA, normal, -correction * inverseMassA)
+    a.position = positionA
+
+    let positionB = b.position
+    vec3.scaleAndAdd(positionB, positionB, normal, correction * inverseMassB)
+    b.position = positionB
+
+    return this.collideSpheres(a, b, normal)
+  }
+
+  /**
+   * Given two touching spheres and the unit normal from the center of a to the center of b,
+   * if they are moving towards each other, exchange a momentum-conserving impulse along the
+   * normal with their combined restitution, plus a friction impulse against any slip between
+   * their surfaces.
+   *
+   * @param {Sphere} a First sphere of the pair
+   * @param {Sphere} b Second sphere of the pair
+   * @param {any} normal vec3 unit normal from a to b
+   * @returns True if the spheres hit each other, moving towards each other at Sphere.RESTING_SPEED or more, and exchanged an impulse
+   *
+   * @memberOf PhysicsEngine
+   */
+  collideSpheres (a, b, normal) {
+    let relativeVelocity = vec3.create()
+    vec3.subtract(relativeVelocity, b.velocity, a.velocity)
+
+    // Already separating, so no impulse is needed
+    let approachSpeed = vec3.dot(relativeVelocity, normal)
+    if (approachSpeed >= 0) {
+      return false
+    }
+
+    // An impact hard enough to bounce wakes a sleeping sphere; a gentler one treats it as immovable
+    if (-approachSpeed >= Sphere.RESTING_SPEED) {
+      a.wake()
+      b.wake()
+    }
+
+    let inverseMassSum = a.inverseMass + b.inverseMass
+    if (inverseMassSum === 0) {
+      return false
+    }
+
+    let restitution = Sphere.contactRestitution(-approachSpeed, Sphere.combineRestitution(a.restitution, b.restitution))
+    let friction = Sphere.combineFriction(a.friction, b.friction)
+
+    // Impulse magnitude along the collision normal
+    let normalImpulse = -(1 + restitution) * approachSpeed / inverseMassSum
+
+    // Tangential slip between the two surfaces at the contact point
+    let offsetA = vec3.scale(vec3.create(), normal, a.radius)
+    let offsetB = vec3.scale(vec3.create(), normal, -b.radius)
+    let slip = vec3.subtract(vec3.create(), b.velocityAtPoint(offsetB), a.velocityAtPoint(offsetA))
+    vec3.scaleAndAdd(slip, slip, normal, -vec3.dot(slip, normal))
+
+    let impulse = vec3.scale(vec3.create(), normal, normalImpulse)
+    vec3.add(impulse, impulse, Sphere.frictionImpulse(slip, friction * normalImpulse, inverseMassSum + a.inverseAngularMass + b.inverseAngularMass))
+
+    b.applyImpulse(impulse, offsetB)
+    a.applyImpulse(vec3.negate(vec3.create(), impulse), offsetA)
+
+    // A resting contact only holds the spheres apart
+    let hit = -approachSpeed >= Sphere.RESTING_SPEED
+    if (hit && this.hasListeners('sphereCollision')) {
+      this.emit('sphereCollision', { a, b, impulse })
+    }
+
+    return hit
   }
 
   /**
@@ -67,10 +825,306 @@ class PhysicsEngine {
 
   /**
    * Setter method to set the sphere list used by the physics engine.
+   * Every sphere in the list is indexed by id, and given one if it has none.
    *
    * @memberOf PhysicsEngine
    */
   set sphereList (list) {
+    let index = PhysicsEngine.indexSpheres(list, this.nextSphereId)
+
     this._sphereList = list
+    this.spheresById = index.spheresById
+    this.nextSphereId = index.nextSphereId
+  }
+
+  /**
+   * Getter method for whether collisions are found by sweeping the path of each sphere
+   * through the epoch, rather than only checking where the spheres end up.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get continuousCollisions () {
+    return this._continuousCollisions
+  }
+
+  /**
+   * Setter method for whether collisions are found by sweeping the path of each sphere.
+   * Sweeping stops small, fast spheres tunneling through each other, at some cost per epoch.
+   * @param {boolean} continuousCollisions True to sweep
+   *
+   * @memberOf PhysicsEngine
+   */
+  set continuousCollisions (continuousCollisions) {
+    this._continuousCollisions = continuousCollisions
+  }
+
+  /**
+   * Getter method for whether spheres that stay still fall asleep.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get sleepEnabled () {
+    return this._sleepEnabled
+  }
+
+  /**
+   * Setter method for whether spheres that stay still fall asleep.
+   * Turning sleeping off wakes every sleeping sphere.
+   * @param {boolean} sleepEnabled True to let spheres sleep
+   *
+   * @memberOf PhysicsEngine
+   */
+  set sleepEnabled (sleepEnabled) {
+    this._sleepEnabled = sleepEnabled
+
+    if (!sleepEnabled) {
+      this.wakeAll()
+    }
+  }
+
+  /**
+   * Getter method for the largest number of spheres the simulation holds.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get maxSpheres () {
+    return this._maxSpheres
+  }
+
+  /**
+   * Setter method for the largest number of spheres the simulation holds.
+   * Lowering it does not remove any spheres; it only limits adding more.
+   * @param {number} maxSpheres Maximum population, at least 1, or Infinity for no limit
+   *
+   * @memberOf PhysicsEngine
+   */
+  set maxSpheres (maxSpheres) {
+    if (!(maxSpheres >= 1)) {
+      throw Error(`Invalid max spheres: ${maxSpheres}`)
+    }
+
+    this._maxSpheres = Math.floor(maxSpheres)
+  }
+
+  /**
+   * Getter method for what happens when a sphere is added at the maximum population.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get populationPolicy () {
+    return this._populationPolicy
+  }
+
+  /**
+   * Setter method for what happens when a sphere is added at the maximum population.
+   * @param {string} populationPolicy One of PhysicsEngine.POPULATION_POLICIES
+   *
+   * @memberOf PhysicsEngine
+   */
+  set populationPolicy (populationPolicy) {
+    if (PhysicsEngine.POPULATION_POLICIES.indexOf(populationPolicy) === -1) {
+      throw Error(`Unknown population policy: ${populationPolicy}`)
+    }
+
+    this._populationPolicy = populationPolicy
+  }
+
+  /**
+   * Getter method to return the broad-phase used to find candidate colliding pairs.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get broadPhase () {
+    return this._broadPhase
+  }
+
+  /**
+   * Setter method to swap the broad-phase used to find candidate colliding pairs,
+   * for instance to compare a SpatialHashBroadPhase against a BruteForceBroadPhase.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set broadPhase (broadPhase) {
+    this._broadPhase = broadPhase
+  }
+
+  /**
+   * Getter method for the length in seconds of a single fixed epoch.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get fixedTimeStep () {
+    return this._fixedTimeStep
+  }
+
+  /**
+   * Setter method for the length in seconds of a single fixed epoch.
+   * @param {number} fixedTimeStep Length of an epoch, must be positive
+   *
+   * @memberOf PhysicsEngine
+   */
+  set fixedTimeStep (fixedTimeStep) {
+    if (!(fixedTimeStep > 0)) {
+      throw Error(`Invalid fixed time step: ${fixedTimeStep}`)
+    }
+
+    this._fixedTimeStep = fixedTimeStep
+  }
+
+  /**
+   * Getter method for the maximum number of epochs run by a single call to advance.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get maxStepsPerFrame () {
+    return this._maxStepsPerFrame
+  }
+
+  /**
+   * Setter method for the maximum number of epochs run by a single call to advance.
+   * @param {number} maxStepsPerFrame Maximum number of epochs, at least 1
+   *
+   * @memberOf PhysicsEngine
+   */
+  set maxStepsPerFrame (maxStepsPerFrame) {
+    if (!(maxStepsPerFrame >= 1)) {
+      throw Error(`Invalid max steps per frame: ${maxStepsPerFrame}`)
+    }
+
+    this._maxStepsPerFrame = Math.floor(maxStepsPerFrame)
+  }
+
+  /**
+   * Getter method to return the integrator used to advance spheres without their own integrator.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get integrator () {
+    return this._integrator
+  }
+
+  /**
+   * Setter method to set the integrator used to advance spheres without their own integrator.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set integrator (integrator) {
+    this._integrator = integrator
+  }
+
+  /**
+   * Getter method to return the container the spheres are kept inside.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get container () {
+    return this._container
+  }
+
+  /**
+   * Setter method to set the container the spheres are kept inside,
+   * for instance a BoxContainer, OpenBoxContainer, BowlContainer, CylinderContainer or PlaneContainer.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set container (container) {
+    this._container = container
+    this.wakeAll()
+  }
+
+  /**
+   * Getter method to return the force fields acting on every sphere.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get forces () {
+    return this._forces
+  }
+
+  /**
+   * Setter method to set the force fields acting on every sphere.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set forces (forces) {
+    this._forces = forces
+    this.wakeAll()
+  }
+
+  /**
+   * Getter method to return the seeded random number generator all random spawning goes through.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get random () {
+    return this._random
+  }
+
+  /**
+   * Setter method to set the seeded random number generator all random spawning goes through.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set random (random) {
+    this._random = random
+  }
+
+  /**
+   * Getter method to return the seed of the random number generator.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get seed () {
+    return this.random.seed
+  }
+
+  /**
+   * Setter method to restart the random number generator from the given seed.
+   * With the same seed and the same inputs, the simulation replays identically.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set seed (seed) {
+    this.random.seed = seed
+  }
+
+  /**
+   * Getter method to return the recorder capturing each epoch, or null if nothing is recorded.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get recorder () {
+    return this._recorder
   }
+
+  /**
+   * Setter method to set the recorder capturing each epoch, or null to record nothing.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set recorder (recorder) {
+    this._recorder = recorder
+  }
+
+  /**
+   * Getter method to return the diagnostics measuring each epoch, or null if nothing is measured.
+   *
+   * @memberOf PhysicsEngine
+   */
+  get diagnostics () {
+    return this._diagnostics
+  }
+
+  /**
+   * Setter method to set the diagnostics measuring each epoch, or null to measure nothing.
+   *
+   * @memberOf PhysicsEngine
+   */
+  set diagnostics (diagnostics) {
+    this._diagnostics = diagnostics
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { PhysicsEngine }
 }
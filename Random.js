@@ -0,0 +1,118 @@
+/**
+ * A seedable pseudo-random number generator (mulberry32).
+ * Two generators created with the same seed produce the same sequence of numbers,
+ * which is what makes a simulation reproducible.
+ *
+ * @class Random
+ */
+class Random {
+  /**
+   * Creates an instance of Random.
+   * @param {number} [seed=Random.randomSeed()] 32-bit integer seed
+   *
+   * @memberOf Random
+   */
+  constructor (seed = Random.randomSeed()) {
+    this.seed = seed
+  }
+
+  /**
+   * Returns a new seed picked with Math.random, for when no seed is given.
+   *
+   * @static
+   * @returns 32-bit unsigned integer seed
+   *
+   * @memberOf Random
+   */
+  static randomSeed () {
+    return Math.floor(Math.random() * 4294967296)
+  }
+
+  /**
+   * Getter method for the seed the generator was started from.
+   *
+   * @memberOf Random
+   */
+  get seed () {
+    return this._seed
+  }
+
+  /**
+   * Setter method for the seed, which restarts the sequence from that seed.
+   * @param {number} seed 32-bit integer seed
+   *
+   * @memberOf Random
+   */
+  set seed (seed) {
+    this._seed = seed >>> 0
+    this.state = this._seed
+  }
+
+  /**
+   * Getter method for the internal state of the generator, to save and restore its place in the sequence.
+   *
+   * @memberOf Random
+   */
+  get state () {
+    return this._state
+  }
+
+  /**
+   * Setter method for the internal state of the generator.
+   * @param {number} state 32-bit integer state
+   *
+   * @memberOf Random
+   */
+  set state (state) {
+    this._state = state | 0
+  }
+
+  /**
+   * Returns the next number in the sequence.
+   *
+   * @returns Number from 0 (inclusive) to 1 (exclusive)
+   *
+   * @memberOf Random
+   */
+  next () {
+    this.state = this.state + 0x6D2B79F5
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Returns the next number in the sequence, scaled to the given range.
+   *
+   * @param {number} min Minimum of the range (inclusive)
+   * @param {number} max Maximum of the range (exclusive)
+   * @returns Number in the range
+   *
+   * @memberOf Random
+   */
+  range (min, max) {
+    return min + this.next() * (max - min)
+  }
+
+  /**
+   * Sets the given vector to a direction picked uniformly over the unit sphere, scaled to the given length.
+   *
+   * @param {any} out vec3 to write the direction to
+   * @param {number} [scale=1] Length of the vector
+   * @returns out
+   *
+   * @memberOf Random
+   */
+  direction (out, scale = 1) {
+    let z = this.range(-1, 1)
+    let angle = this.range(0, 2 * Math.PI)
+    let radius = Math.sqrt(1 - z * z) * scale
+
+    return vec3.set(out, radius * Math.cos(angle), radius * Math.sin(angle), z * scale)
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Random }
+}
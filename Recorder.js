@@ -0,0 +1,397 @@
+/**
+ * Records the state of every sphere after each epoch into a bounded ring buffer,
+ * so the last stretch of a simulation can be replayed without re-simulating it.
+ * Once the buffer is full, each new frame replaces the oldest one.
+ *
+ * The buffer is bounded both by a number of frames and by the number of values they hold
+ * together, so with many spheres a shorter stretch is kept rather than running out of memory.
+ * The storage of each frame dropped is reused for the next frame captured.
+ *
+ * Each frame stores the time of the epoch and, for every sphere, its position, radius and color.
+ *
+ * @class Recorder
+ */
+class Recorder {
+  /**
+   * Creates an instance of Recorder.
+   * @param {number} [capacity=3600] Maximum number of frames kept
+   * @param {number} [maxValues=Recorder.DEFAULT_MAX_VALUES] Maximum number of values kept across all frames
+   *
+   * @memberOf Recorder
+   */
+  constructor (capacity = 3600, maxValues = Recorder.DEFAULT_MAX_VALUES) {
+    this.capacity = capacity
+    this.maxValues = maxValues
+    this.enabled = true
+    this.clear()
+  }
+
+  /**
+   * Static constant for the default most values kept across all frames: 2^23 32-bit floats,
+   * or 32 MB, which is the full 3600 frames for up to 332 spheres.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Recorder
+   */
+  static get DEFAULT_MAX_VALUES () {
+    return Math.pow(2, 23)
+  }
+
+  /**
+   * Static constant for the number of values stored per sphere in a frame:
+   * x, y, z, radius, red, green, blue.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Recorder
+   */
+  static get VALUES_PER_SPHERE () {
+    return 7
+  }
+
+  /**
+   * Static constant for the version of the recording format written by toJSON.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Recorder
+   */
+  static get RECORDING_VERSION () {
+    return 1
+  }
+
+  /**
+   * Getter method for the maximum number of frames kept.
+   *
+   * @memberOf Recorder
+   */
+  get capacity () {
+    return this._capacity
+  }
+
+  /**
+   * Setter method for the maximum number of frames kept.
+   * Changing the capacity discards the frames recorded so far.
+   * @param {number} capacity Maximum number of frames, at least 1
+   *
+   * @memberOf Recorder
+   */
+  set capacity (capacity) {
+    if (!(capacity >= 1)) {
+      throw Error(`Invalid recorder capacity: ${capacity}`)
+    }
+
+    this._capacity = Math.floor(capacity)
+    this.clear()
+  }
+
+  /**
+   * Getter method for the maximum number of values kept across all frames.
+   *
+   * @memberOf Recorder
+   */
+  get maxValues () {
+    return this._maxValues
+  }
+
+  /**
+   * Setter method for the maximum number of values kept across all frames.
+   * The oldest frames are dropped until the frames kept fit.
+   * @param {number} maxValues Maximum number of values, at least 1
+   *
+   * @memberOf Recorder
+   */
+  set maxValues (maxValues) {
+    if (!(maxValues >= 1)) {
+      throw Error(`Invalid recorder max values: ${maxValues}`)
+    }
+
+    this._maxValues = Math.floor(maxValues)
+    this.makeRoom(0)
+  }
+
+  /**
+   * Returns the number of frames currently recorded.
+   *
+   * @readonly
+   *
+   * @memberOf Recorder
+   */
+  get length () {
+    return this.count
+  }
+
+  /**
+   * Discard every recorded frame.
+   *
+   * @memberOf Recorder
+   */
+  clear () {
+    this.frames = new Array(this.capacity)
+    this.start = 0
+    this.count = 0
+    this.values = 0
+    this.spare = null
+  }
+
+  /**
+   * Record the current state of every sphere in the engine as a new frame.
+   *
+   * @param {any} engine Physics engine to record
+   *
+   * @memberOf Recorder
+   */
+  capture (engine) {
+    let length = engine.sphereList.length * Recorder.VALUES_PER_SPHERE
+
+    // Drop the frames this one replaces first, so their storage can be reused for it
+    this.makeRoom(length)
+    let data = this.allocate(length)
+
+    engine.sphereList.forEach((sphere, i) => {
+      let offset = i * Recorder.VALUES_PER_SPHERE
+      data.set(sphere.position, offset)
+      data[offset + 3] = sphere.radius
+      data.set(sphere.color, offset + 4)
+    })
+
+    this.push({ time: engine.time, data })
+  }
+
+  /**
+   * Given the number of values in a frame about to be added, drop the oldest frames until there
+   * is room for it. The newest frame is always kept, even if it alone holds more than maxValues.
+   *
+   * @param {number} length Number of values in the new frame
+   *
+   * @memberOf Recorder
+   */
+  makeRoom (length) {
+    while (this.count > 0 && (this.count >= this.capacity || this.values + length > this.maxValues)) {
+      let oldest = this.frames[this.start]
+      this.frames[this.start] = undefined
+      this.start = (this.start + 1) % this.capacity
+      this.count--
+      this.values -= oldest.data.length
+      this.spare = oldest.data
+    }
+  }
+
+  /**
+   * Given a number of values, return an array to hold them, reusing the storage of the last frame
+   * dropped if it is large enough.
+   *
+   * @param {number} length Number of values
+   * @returns Float32Array of that length
+   *
+   * @memberOf Recorder
+   */
+  allocate (length) {
+    let spare = this.spare
+    this.spare = null
+
+    if (spare !== null && spare.buffer.byteLength >= length * Float32Array.BYTES_PER_ELEMENT) {
+      return new Float32Array(spare.buffer, 0, length)
+    }
+    return new Float32Array(length)
+  }
+
+  /**
+   * Add a frame after the newest one, dropping the oldest frames if the buffer is full.
+   *
+   * @param {any} frame Frame with a time and packed sphere data
+   *
+   * @memberOf Recorder
+   */
+  push (frame) {
+    this.makeRoom(frame.data.length)
+    this.frames[(this.start + this.count) % this.capacity] = frame
+    this.count++
+    this.values += frame.data.length
+  }
+
+  /**
+   * Given an index from 0 (oldest) to length - 1 (newest), return that frame.
+   *
+   * @param {number} index Index of the frame
+   * @returns Frame with a time and packed sphere data
+   *
+   * @memberOf Recorder
+   */
+  frameAt (index) {
+    if (index < 0 || index >= this.count) {
+      throw Error(`Invalid frame index: ${index}`)
+    }
+
+    return this.frames[(this.start + index) % this.capacity]
+  }
+
+  /**
+   * Given a time, return the index of the newest frame recorded at or before it.
+   *
+   * @param {number} time Simulation time in seconds
+   * @returns Index of the frame, or 0 if the time is before the first frame
+   *
+   * @memberOf Recorder
+   */
+  indexAtTime (time) {
+    let low = 0
+    let high = this.count - 1
+
+    while (low < high) {
+      let middle = Math.ceil((low + high) / 2)
+      if (this.frameAt(middle).time <= time) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+
+    return low
+  }
+
+  /**
+   * Given the index of a frame, unpack the spheres recorded in it.
+   *
+   * @param {number} index Index of the frame
+   * @returns Array of objects with the position, radius and color of each sphere
+   *
+   * @memberOf Recorder
+   */
+  spheresAt (index) {
+    let data = this.frameAt(index).data
+    let spheres = []
+
+    for (let offset = 0; offset < data.length; offset += Recorder.VALUES_PER_SPHERE) {
+      spheres.push({
+        position: data.slice(offset, offset + 3),
+        radius: data[offset + 3],
+        color: data.slice(offset + 4, offset + 7)
+      })
+    }
+
+    return spheres
+  }
+
+  /**
+   * Returns a versioned plain object holding every recorded frame, oldest first,
+   * so a replay can be viewed on another machine.
+   *
+   * @returns JSON-compatible recording
+   *
+   * @memberOf Recorder
+   */
+  toJSON () {
+    let frames = []
+
+    for (let i = 0; i < this.count; i++) {
+      let frame = this.frameAt(i)
+      frames.push({ time: frame.time, data: Array.from(frame.data) })
+    }
+
+    return {
+      version: Recorder.RECORDING_VERSION,
+      capacity: this.capacity,
+      frames
+    }
+  }
+
+  /**
+   * Given a recording saved by toJSON, create a recorder holding its frames.
+   *
+   * @static
+   * @param {any} json Recording object, or the JSON string of one
+   * @returns New recorder
+   *
+   * @memberOf Recorder
+   */
+  static fromJSON (json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json)
+    }
+
+    if (json.version !== Recorder.RECORDING_VERSION) {
+      throw Error(`Unsupported recording version: ${json.version}`)
+    }
+
+    // Keep every frame of the recording, however many values they hold
+    let values = json.frames.reduce((total, frame) => total + frame.data.length, 0)
+    let recorder = new Recorder(Math.max(json.capacity, json.frames.length, 1), Math.max(Recorder.DEFAULT_MAX_VALUES, values))
+    json.frames.forEach(frame => recorder.push({ time: frame.time, data: new Float32Array(frame.data) }))
+
+    return recorder
+  }
+}
+
+/**
+ * Plays back the frames of a recorder: tracks the current frame, whether it is playing,
+ * and how fast recorded time passes relative to wall-clock time.
+ *
+ * @class Playback
+ */
+class Playback {
+  /**
+   * Creates an instance of Playback, paused at the oldest frame.
+   * @param {any} recorder Recorder holding the frames to play
+   *
+   * @memberOf Playback
+   */
+  constructor (recorder) {
+    this.recorder = recorder
+    this.playing = false
+    this.speed = 1
+    this.seek(0)
+  }
+
+  /**
+   * Jump to the frame with the given index.
+   *
+   * @param {number} index Index of the frame, clamped to the recorded frames
+   *
+   * @memberOf Playback
+   */
+  seek (index) {
+    this.index = Math.min(Math.max(Math.floor(index), 0), Math.max(this.recorder.length - 1, 0))
+    this.time = this.recorder.length > 0 ? this.recorder.frameAt(this.index).time : 0
+  }
+
+  /**
+   * Given the wall-clock time since the last frame, move forward through the recording
+   * if it is playing. Playback pauses when it reaches the newest frame.
+   *
+   * @param {number} frameTime Time elapsed since the last frame in seconds
+   *
+   * @memberOf Playback
+   */
+  advance (frameTime) {
+    if (!this.playing || this.recorder.length === 0) {
+      return
+    }
+
+    this.time += frameTime * this.speed
+    this.index = this.recorder.indexAtTime(this.time)
+
+    if (this.index === this.recorder.length - 1) {
+      this.playing = false
+    }
+  }
+
+  /**
+   * Returns the spheres recorded in the current frame.
+   *
+   * @readonly
+   *
+   * @memberOf Playback
+   */
+  get spheres () {
+    return this.recorder.length > 0 ? this.recorder.spheresAt(this.index) : []
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Recorder, Playback }
+}
@@ -0,0 +1,188 @@
+/**
+ * A node in the scene graph: a local transform (translation, rotation and scale) relative to
+ * its parent, an optional drawable, and any number of children.
+ *
+ * The local matrix applies the scale first, then the rotation, then the translation, so a node
+ * scaled to the radius of a sphere and translated to its position is drawn at that position,
+ * whatever its size. Children are drawn in the space of their parent.
+ *
+ * @class SceneNode
+ */
+class SceneNode {
+  /**
+   * Creates an instance of SceneNode with an identity transform and no children.
+   * @param {any} [drawable=null] Function called with the node to draw it, or null for a node that only groups its children
+   *
+   * @memberOf SceneNode
+   */
+  constructor (drawable = null) {
+    this.drawable = drawable
+    this.translation = vec3.create()
+    this.rotation = quat.create()
+    this.scale = vec3.fromValues(1, 1, 1)
+
+    // Shading material for the drawable to draw the node with, if it uses one
+    this.material = null
+
+    this.visible = true
+    this.parent = null
+    this.children = []
+  }
+
+  /**
+   * Getter method for the offset of the node from the origin of its parent.
+   *
+   * @memberOf SceneNode
+   */
+  get translation () {
+    return this._translation
+  }
+
+  /**
+   * Setter method for the offset of the node from the origin of its parent.
+   * @param {any} translation vec3 offset
+   *
+   * @memberOf SceneNode
+   */
+  set translation (translation) {
+    this._translation = translation
+  }
+
+  /**
+   * Getter method for the rotation of the node relative to its parent.
+   *
+   * @memberOf SceneNode
+   */
+  get rotation () {
+    return this._rotation
+  }
+
+  /**
+   * Setter method for the rotation of the node relative to its parent.
+   * @param {any} rotation quat rotation
+   *
+   * @memberOf SceneNode
+   */
+  set rotation (rotation) {
+    this._rotation = rotation
+  }
+
+  /**
+   * Getter method for the scale of the node along each of its axes.
+   *
+   * @memberOf SceneNode
+   */
+  get scale () {
+    return this._scale
+  }
+
+  /**
+   * Setter method for the scale of the node along each of its axes.
+   * @param {any} scale vec3 scale factors
+   *
+   * @memberOf SceneNode
+   */
+  set scale (scale) {
+    this._scale = scale
+  }
+
+  /**
+   * Set the scale of the node to the same factor along every axis.
+   *
+   * @param {number} factor Scale factor
+   * @returns This node
+   *
+   * @memberOf SceneNode
+   */
+  setUniformScale (factor) {
+    vec3.set(this.scale, factor, factor, factor)
+    return this
+  }
+
+  /**
+   * Returns the matrix taking the space of this node to the space of its parent.
+   *
+   * @readonly
+   *
+   * @memberOf SceneNode
+   */
+  get localMatrix () {
+    return mat4.fromRotationTranslationScale(mat4.create(), this.rotation, this.translation, this.scale)
+  }
+
+  /**
+   * Returns the matrix taking the space of this node to world space, through all of its ancestors.
+   *
+   * @readonly
+   *
+   * @memberOf SceneNode
+   */
+  get worldMatrix () {
+    let matrix = this.localMatrix
+    for (let node = this.parent; node !== null; node = node.parent) {
+      mat4.multiply(matrix, node.localMatrix, matrix)
+    }
+
+    return matrix
+  }
+
+  /**
+   * Attach a child to this node, detaching it from any previous parent.
+   *
+   * @param {SceneNode} child Node to attach
+   * @returns The child
+   *
+   * @memberOf SceneNode
+   */
+  addChild (child) {
+    if (child.parent !== null) {
+      child.parent.removeChild(child)
+    }
+
+    child.parent = this
+    this.children.push(child)
+    return child
+  }
+
+  /**
+   * Detach a child from this node.
+   *
+   * @param {SceneNode} child Node to detach
+   * @returns True if the node was a child of this node
+   *
+   * @memberOf SceneNode
+   */
+  removeChild (child) {
+    let index = this.children.indexOf(child)
+    if (index === -1) {
+      return false
+    }
+
+    this.children.splice(index, 1)
+    child.parent = null
+    return true
+  }
+
+  /**
+   * Visit this node and every visible node below it, depth first, parents before their children.
+   * A hidden node is skipped along with all of its children.
+   *
+   * @param {any} enter Function called with each node and its matrix to world space
+   * @param {any} [parentMatrix=mat4.create()] Matrix from the space of the parent of this node to world space
+   *
+   * @memberOf SceneNode
+   */
+  traverse (enter, parentMatrix = mat4.create()) {
+    if (!this.visible) {
+      return
+    }
+
+    let matrix = mat4.multiply(mat4.create(), parentMatrix, this.localMatrix)
+    enter(this, matrix)
+    this.children.forEach(child => child.traverse(enter, matrix))
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SceneNode }
+}
@@ -0,0 +1,195 @@
+/**
+ * A shadow map holds the depth of the nearest surface seen from a light, rendered into a texture,
+ * so that the main pass can tell whether each point it draws is hidden from that light.
+ *
+ * WebGL 1 only has depth textures through an extension, so the depth is packed into the four
+ * 8-bit channels of a color texture instead, with a depth renderbuffer for depth testing.
+ *
+ * @class ShadowMap
+ */
+class ShadowMap {
+  /**
+   * Creates an instance of ShadowMap and its framebuffer.
+   * @param {any} gl WebGL context to create the framebuffer in
+   * @param {number} [size=2048] Width and height of the map in texels
+   *
+   * @memberOf ShadowMap
+   */
+  constructor (gl, size = 2048) {
+    this.gl = gl
+    this.framebuffer = null
+    this.texture = null
+    this.renderbuffer = null
+
+    this.viewMatrix = mat4.create()
+    this.projectionMatrix = mat4.create()
+
+    this.size = size
+  }
+
+  /**
+   * Static constant for the matrix taking clip coordinates, from -1 to 1, to texture coordinates
+   * and depths, from 0 to 1.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf ShadowMap
+   */
+  static get BIAS_MATRIX () {
+    let matrix = mat4.fromTranslation(mat4.create(), vec3.fromValues(0.5, 0.5, 0.5))
+    return mat4.scale(matrix, matrix, vec3.fromValues(0.5, 0.5, 0.5))
+  }
+
+  /**
+   * Getter method for the width and height of the map in texels.
+   *
+   * @memberOf ShadowMap
+   */
+  get size () {
+    return this._size
+  }
+
+  /**
+   * Setter method for the width and height of the map in texels, which recreates the framebuffer.
+   * The size is limited to the largest texture and renderbuffer the device supports.
+   * @param {number} size Width and height in texels
+   *
+   * @memberOf ShadowMap
+   */
+  set size (size) {
+    let gl = this.gl
+    let largest = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE))
+    if (!(size >= 1)) {
+      throw Error(`Invalid shadow map size: ${size}`)
+    }
+
+    this._size = Math.min(Math.floor(size), largest)
+    this.create()
+  }
+
+  /**
+   * Returns true if the framebuffer can be drawn to. Some devices cannot render to a texture of
+   * the chosen size, and need a smaller map or no map at all.
+   *
+   * @readonly
+   *
+   * @memberOf ShadowMap
+   */
+  get complete () {
+    return this._complete
+  }
+
+  /**
+   * Create the texture, depth renderbuffer and framebuffer for the current size,
+   * deleting any made for a previous size.
+   *
+   * @memberOf ShadowMap
+   */
+  create () {
+    let gl = this.gl
+    this.dispose()
+
+    this.texture = gl.createTexture()
+    gl.bindTexture(gl.TEXTURE_2D, this.texture)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.size, this.size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null)
+
+    // Packed depths cannot be blended between texels, so sample the nearest one
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+
+    this.renderbuffer = gl.createRenderbuffer()
+    gl.bindRenderbuffer(gl.RENDERBUFFER, this.renderbuffer)
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, this.size, this.size)
+
+    this.framebuffer = gl.createFramebuffer()
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer)
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0)
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.renderbuffer)
+    this._complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null)
+    gl.bindTexture(gl.TEXTURE_2D, null)
+  }
+
+  /**
+   * Delete the texture, renderbuffer and framebuffer, if they have been created.
+   *
+   * @memberOf ShadowMap
+   */
+  dispose () {
+    let gl = this.gl
+    if (this.framebuffer !== null) {
+      gl.deleteFramebuffer(this.framebuffer)
+      gl.deleteRenderbuffer(this.renderbuffer)
+      gl.deleteTexture(this.texture)
+    }
+
+    this.framebuffer = null
+    this.renderbuffer = null
+    this.texture = null
+  }
+
+  /**
+   * Given a light and the box around everything that casts shadows, point the map at the box
+   * from the light. A point light looks at the box through a perspective projection just wide
+   * enough to see all of it; a directional light looks along its direction through an
+   * orthographic projection.
+   *
+   * @param {any} light PointLight or DirectionalLight casting the shadows
+   * @param {any} bounds Object with the min and max vec3 corners of the box
+   *
+   * @memberOf ShadowMap
+   */
+  fitToBounds (light, bounds) {
+    let center = vec3.lerp(vec3.create(), bounds.min, bounds.max, 0.5)
+    let radius = Math.max(vec3.distance(bounds.min, bounds.max) / 2, 0.1)
+
+    let eye
+    if (light instanceof DirectionalLight) {
+      let direction = vec3.normalize(vec3.create(), light.direction)
+      eye = vec3.scaleAndAdd(vec3.create(), center, direction, -2 * radius)
+    } else {
+      eye = vec3.clone(light.position)
+    }
+    let sight = vec3.subtract(vec3.create(), center, eye)
+
+    // Any up direction works, as long as it is not along the line of sight
+    let up = Math.abs(sight[1]) > 0.99 * vec3.length(sight) ? vec3.fromValues(0, 0, 1) : vec3.fromValues(0, 1, 0)
+    mat4.lookAt(this.viewMatrix, eye, center, up)
+
+    let distance = vec3.length(sight)
+    if (light instanceof DirectionalLight) {
+      mat4.ortho(this.projectionMatrix, -radius, radius, -radius, radius, distance - radius, distance + radius)
+    } else {
+      // A light inside the box sees it from every side, which one map cannot hold, so clamp the angle
+      let halfAngle = distance > radius ? Math.asin(radius / distance) : Math.PI / 2 * 0.9
+      let near = Math.max(distance - radius, 0.1)
+      mat4.perspective(this.projectionMatrix, 2 * Math.min(halfAngle, Math.PI / 2 * 0.9), 1, near, distance + radius)
+    }
+  }
+
+  /**
+   * Given the view matrix of the camera, return the matrix taking eye coordinates to coordinates
+   * in the map: x and y are texture coordinates and z is the depth to compare to the stored one.
+   *
+   * @param {any} viewMatrix mat4 taking world coordinates to the camera's eye coordinates
+   * @returns mat4 taking the camera's eye coordinates to map coordinates
+   *
+   * @memberOf ShadowMap
+   */
+  shadowMatrix (viewMatrix) {
+    let matrix = mat4.multiply(mat4.create(), ShadowMap.BIAS_MATRIX, this.projectionMatrix)
+    mat4.multiply(matrix, matrix, this.viewMatrix)
+
+    let eyeToWorld = mat4.invert(mat4.create(), viewMatrix)
+    return mat4.multiply(matrix, matrix, eyeToWorld)
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ShadowMap }
+}
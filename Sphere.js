@@ -1,30 +1,52 @@
 /**
  * A sphere represents all but the vertex mesh of a sphere.
  * We represent all of the physical properties of the sphere (radius, position, velocity, mass, color, etc.)
+ * The mass follows from the radius and the density of the sphere's material, unless explicitly overridden.
  * We scale, translate, and draw the sphere mesh for each sphere based on these properties.
  *
  * @class Sphere
  */
 class Sphere {
   /**
-   * Creates an instance of Sphere.
-   * @param {any} [radius=Math.random() * 2] Radius to create the sphere with
-   * @param {any} [speed=Math.random() * 100] Speed to create the sphere with
+   * Creates an instance of Sphere at the origin.
+   * The physics engine places the spheres it creates inside its container.
+   * @param {any} [radius=random.range(0, 2)] Radius to create the sphere with
+   * @param {any} [speed=random.range(0, 100)] Speed to create the sphere with, in a random direction
+   * @param {any} [material=Material.DEFAULT] Material to make the sphere out of
+   * @param {any} [random=new Random()] Random number generator to pick the unspecified properties with
    *
    * @memberOf Sphere
    */
-  constructor (radius = Math.random() * 2, speed = Math.random() * 100) {
-    this.radius = radius
+  constructor (radius, speed, material = Material.DEFAULT, random = new Random()) {
+    // Assigned by the physics engine when the sphere is added
+    this.id = null
+
+    this.age = 0
+    this.lifetime = Infinity
+
+    this.sleeping = false
+    this.sleepTimer = 0
+    this.held = false
+
+    this.radius = radius === undefined ? random.range(0, 2) : radius
 
     this.position = vec3.create()
-    this.position = vec3.random(this.position, 10 - this.radius)
+    this.previousPosition = vec3.clone(this.position)
 
     let velocity = vec3.create()
-    this.velocity = vec3.random(velocity, speed)
+    this.velocity = random.direction(velocity, speed === undefined ? random.range(0, 100) : speed)
+
+    this.angularVelocity = vec3.create()
+    this.acceleration = vec3.create()
 
-    this.mass = 1
+    this.integrator = null
 
-    this.color = vec3.fromValues(Math.random(), Math.random(), Math.random())
+    this.shading = new ShadingMaterial()
+    this.color = vec3.fromValues(random.next(), random.next(), random.next())
+
+    // Sets the density, restitution, friction, shine and any color of the material
+    this.mass = null
+    this.material = material
   }
 
   /**
@@ -65,6 +87,38 @@ class Sphere {
     this._position = position
   }
 
+  /**
+   * Getter method for the position of the sphere at the start of the last epoch
+   *
+   * @memberOf Sphere
+   */
+  get previousPosition () {
+    return this._previousPosition
+  }
+
+  /**
+   * Setter method for the position of the sphere at the start of the last epoch
+   * @param {any} previousPosition vec3 coordinate of the previous position of the sphere
+   *
+   * @memberOf Sphere
+   */
+  set previousPosition (previousPosition) {
+    this._previousPosition = previousPosition
+  }
+
+  /**
+   * Given how far the simulation is between the last two epochs, return the position
+   * of the sphere linearly interpolated between its previous and current positions.
+   *
+   * @param {number} alpha Fraction of the way from the previous to the current epoch
+   * @returns vec3 interpolated position of the sphere
+   *
+   * @memberOf Sphere
+   */
+  interpolatedPosition (alpha) {
+    return vec3.lerp(vec3.create(), this.previousPosition, this.position, alpha)
+  }
+
   /**
    * Getter method for the velocity of the sphere
    *
@@ -107,22 +161,43 @@ class Sphere {
   }
 
   /**
-   * Getter method for the RGB coloring of the sphere.
+   * Getter method for the RGB coloring of the sphere, which is the diffuse color of its shading.
    *
    * @memberOf Sphere
    */
   get color () {
-    return this._color
+    return this.shading.diffuse
   }
 
   /**
    * Setter method for the RGB coloring of the sphere.
+   * Sets both the ambient and diffuse colors of its shading, leaving its highlights alone.
    * @param {any} color vec3 RGB color vector of the sphere
    *
    * @memberOf Sphere
    */
   set color (color) {
-    this._color = color
+    this.shading.ambient = vec3.clone(color)
+    this.shading.diffuse = color
+  }
+
+  /**
+   * Getter method for how the sphere reflects light when drawn.
+   *
+   * @memberOf Sphere
+   */
+  get shading () {
+    return this._shading
+  }
+
+  /**
+   * Setter method for how the sphere reflects light when drawn.
+   * @param {any} shading Shading material with ambient, diffuse and specular colors and shininess
+   *
+   * @memberOf Sphere
+   */
+  set shading (shading) {
+    this._shading = shading
   }
 
   /**
@@ -131,12 +206,18 @@ class Sphere {
    * @memberOf Sphere
    */
   get mass () {
-    return this._mass
+    if (this._mass !== null) {
+      return this._mass
+    }
+
+    let volume = 4 / 3 * Math.PI * this.radius * this.radius * this.radius
+    return Math.max(this.density * volume, Sphere.MIN_MASS)
   }
 
   /**
    * Setter method for the massi n kilograms of the sphere
-   * @param {number} mass Mass of the sphere
+   * Overrides the mass calculated from the radius and density.
+   * @param {number} mass Mass of the sphere, or null to calculate it from the radius and density again
    *
    * @memberOf Sphere
    */
@@ -145,189 +226,884 @@ class Sphere {
   }
 
   /**
-   * Static constant for the magnatude of the acceleration from gravity on Earth
+   * Static constant for the smallest mass a sphere can have, so a sphere with no radius
+   * can still be accelerated.
    *
    * @readonly
    * @static
    *
    * @memberOf Sphere
    */
-  static get GRAVITY () {
-    return -9.81
+  static get MIN_MASS () {
+    return 1e-6
+  }
+
+  /**
+   * Getter method for the density of the sphere, relative to water.
+   *
+   * @memberOf Sphere
+   */
+  get density () {
+    return this._density
   }
 
   /**
-   * Given the time of an epoch, return the factor to scale velocity by to simulate drag on the sphere.
+   * Setter method for the density of the sphere, relative to water.
+   * @param {number} density Mass per unit volume of the sphere
    *
-   * @param {any} timeDelta Time elapsed during the current epoch
-   * @returns Factor to scale velocity by
+   * @memberOf Sphere
+   */
+  set density (density) {
+    this._density = density
+  }
+
+  /**
+   * Getter method for the material the sphere was last made out of.
    *
    * @memberOf Sphere
    */
-  dragFactor (timeDelta) {
-    return Math.pow(0.9, timeDelta)
+  get material () {
+    return this._material
   }
 
   /**
-   * Returns a vec3 representation of the vector of the force of gravity on the sphere.
+   * Setter method for the material of the sphere.
+   * Copies the density, restitution, friction, shine and, if the material has one, color of the material onto the sphere,
+   * where they can still be changed individually.
+   * @param {any} material Material to make the sphere out of
+   *
+   * @memberOf Sphere
+   */
+  set material (material) {
+    this._material = material
+    this.density = material.density
+    this.restitution = material.restitution
+    this.friction = material.friction
+    this.shading.specular = vec3.clone(material.specular)
+    this.shading.shininess = material.shininess
+
+    if (material.color !== null) {
+      this.color = vec3.clone(material.color)
+    }
+  }
+
+  /**
+   * Returns the moment of inertia of the sphere about its center, treating it as a solid ball.
+   *
+   * @readonly
+   *
+   * @memberOf Sphere
+   */
+  get momentOfInertia () {
+    return 0.4 * this.mass * this.radius * this.radius
+  }
+
+  /**
+   * Returns how much the spin of the sphere changes the speed of its surface per unit of
+   * impulse applied tangentially at the surface: radius squared over moment of inertia.
    *
    * @readonly
    *
    * @memberOf Sphere
    */
-  get gravityForce () {
-    return vec3.fromValues(0, Sphere.GRAVITY * this.mass, 0)
+  get inverseAngularMass () {
+    if (this.sleeping || this.held) {
+      return 0
+    }
+
+    return this.momentOfInertia > 0 ? this.radius * this.radius / this.momentOfInertia : 0
   }
 
   /**
-   * Returns the acceleration acting on the sphere at any given moment.
+   * Returns one over the mass of the sphere, or 0 while it sleeps or is held,
+   * so that a sleeping or held sphere acts as an immovable body in collisions.
    *
    * @readonly
    *
    * @memberOf Sphere
    */
+  get inverseMass () {
+    return this.sleeping || this.held ? 0 : 1 / this.mass
+  }
+
+  /**
+   * Getter method for the angular velocity of the sphere in radians per second
+   *
+   * @memberOf Sphere
+   */
+  get angularVelocity () {
+    return this._angularVelocity
+  }
+
+  /**
+   * Setter method for the angular velocity of the sphere in radians per second
+   * @param {any} angularVelocity vec3 axis of rotation scaled by the rate of rotation
+   *
+   * @memberOf Sphere
+   */
+  set angularVelocity (angularVelocity) {
+    this._angularVelocity = angularVelocity
+  }
+
+  /**
+   * Getter method for the coefficient of restitution of the sphere.
+   *
+   * @memberOf Sphere
+   */
+  get restitution () {
+    return this._restitution
+  }
+
+  /**
+   * Setter method for the coefficient of restitution of the sphere.
+   * 1 bounces without losing energy, 0 stops dead against a surface.
+   * @param {number} restitution Coefficient of restitution, from 0 to 1
+   *
+   * @memberOf Sphere
+   */
+  set restitution (restitution) {
+    this._restitution = Math.min(Math.max(restitution, 0), 1)
+  }
+
+  /**
+   * Getter method for the Coulomb coefficient of friction of the sphere.
+   *
+   * @memberOf Sphere
+   */
+  get friction () {
+    return this._friction
+  }
+
+  /**
+   * Setter method for the Coulomb coefficient of friction of the sphere.
+   * @param {number} friction Non-negative coefficient of friction
+   *
+   * @memberOf Sphere
+   */
+  set friction (friction) {
+    this._friction = Math.max(friction, 0)
+  }
+
+  /**
+   * Given a position and velocity, return the acceleration the given force fields would produce there.
+   * Integrators call this to evaluate the acceleration at intermediate states within an epoch.
+   *
+   * @param {any} position vec3 position to evaluate the forces at
+   * @param {any} velocity vec3 velocity to evaluate the forces at
+   * @param {any} [forces=[]] Force fields acting on the sphere
+   * @returns vec3 acceleration of the sphere
+   *
+   * @memberOf Sphere
+   */
+  accelerationAt (position, velocity, forces = []) {
+    let force = vec3.create()
+
+    forces.forEach(field => {
+      if (field.enabled) {
+        vec3.add(force, force, field.forceOn(this, position, velocity))
+      }
+    })
+
+    return vec3.scale(force, force, 1 / this.mass)
+  }
+
+  /**
+   * Getter method for the acceleration of the sphere at the start of the last epoch,
+   * the sum of every force field acting on it.
+   *
+   * @memberOf Sphere
+   */
   get acceleration () {
-    let gravity = this.gravityForce
-    vec3.scale(gravity, gravity, 1 / this.mass)
-    return gravity
+    return this._acceleration
   }
 
   /**
-   * Given a time passed, calculate the new position of the sphere after the current epoch.
+   * Setter method for the acceleration of the sphere at the start of the last epoch.
+   * @param {any} acceleration vec3 acceleration of the sphere
    *
-   * @param {any} timeDelta Time elapsed in the current epoch
-   * @returns Returns the new position of the sphere after the current epoch
+   * @memberOf Sphere
+   */
+  set acceleration (acceleration) {
+    this._acceleration = acceleration
+  }
+
+  /**
+   * Getter method for the integrator used to advance this sphere.
+   * When null, the sphere is advanced with the integrator of the physics engine.
+   *
+   * @memberOf Sphere
+   */
+  get integrator () {
+    return this._integrator
+  }
+
+  /**
+   * Setter method for the integrator used to advance this sphere.
+   * @param {any} integrator Integrator to use, or null to use the physics engine's
    *
    * @memberOf Sphere
    */
-  updatePosition (timeDelta) {
-    let velocity = vec3.clone(this.updateVelocity(timeDelta))
+  set integrator (integrator) {
+    this._integrator = integrator
+  }
 
-    vec3.scale(velocity, velocity, timeDelta)
+  /**
+   * Getter method for the identifier of the sphere, unique within its physics engine,
+   * or null if it has not been added to one.
+   *
+   * @memberOf Sphere
+   */
+  get id () {
+    return this._id
+  }
 
-    let position = this.position
-    vec3.add(position, position, velocity)
-    this.position = position
+  /**
+   * Setter method for the identifier of the sphere.
+   * @param {any} id Integer identifier, or null
+   *
+   * @memberOf Sphere
+   */
+  set id (id) {
+    this._id = id
+  }
 
-    return this.position
+  /**
+   * Getter method for the simulated time in seconds the sphere has existed.
+   *
+   * @memberOf Sphere
+   */
+  get age () {
+    return this._age
   }
 
   /**
-   * Given a time passed, calculate the new velocity of the sphere after the current epoch.
+   * Setter method for the simulated time in seconds the sphere has existed.
+   * @param {number} age Age in seconds
+   *
+   * @memberOf Sphere
+   */
+  set age (age) {
+    this._age = age
+  }
+
+  /**
+   * Getter method for the age in seconds at which the sphere despawns.
+   *
+   * @memberOf Sphere
+   */
+  get lifetime () {
+    return this._lifetime
+  }
+
+  /**
+   * Setter method for the age in seconds at which the sphere despawns.
+   * @param {number} lifetime Lifetime in seconds, must be positive; Infinity for a sphere that never despawns
+   *
+   * @memberOf Sphere
+   */
+  set lifetime (lifetime) {
+    if (!(lifetime > 0)) {
+      throw Error(`Invalid lifetime: ${lifetime}`)
+    }
+
+    this._lifetime = lifetime
+  }
+
+  /**
+   * Returns true once the sphere has outlived its lifetime.
+   *
+   * @readonly
+   *
+   * @memberOf Sphere
+   */
+  get expired () {
+    return this.age >= this.lifetime
+  }
+
+  /**
+   * Getter method for whether the sphere is asleep: at rest, and neither integrated
+   * nor moved by collisions until something wakes it.
+   *
+   * @memberOf Sphere
+   */
+  get sleeping () {
+    return this._sleeping
+  }
+
+  /**
+   * Setter method for whether the sphere is asleep.
+   * @param {boolean} sleeping True if the sphere is asleep
+   *
+   * @memberOf Sphere
+   */
+  set sleeping (sleeping) {
+    this._sleeping = sleeping
+  }
+
+  /**
+   * Static constant for the speed below which a sphere counts as still.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Sphere
+   */
+  static get SLEEP_SPEED () {
+    return 0.1
+  }
+
+  /**
+   * Static constant for how long in seconds a sphere must stay still before it falls asleep.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Sphere
+   */
+  static get SLEEP_TIME () {
+    return 0.5
+  }
+
+  /**
+   * Put the sphere to sleep, stopping it dead.
+   *
+   * @memberOf Sphere
+   */
+  sleep () {
+    this.sleeping = true
+    this.velocity = vec3.create()
+    this.angularVelocity = vec3.create()
+  }
+
+  /**
+   * Wake the sphere, so it is integrated again from the next epoch.
+   *
+   * @memberOf Sphere
+   */
+  wake () {
+    this.sleeping = false
+    this.sleepTimer = 0
+  }
+
+  /**
+   * Getter method for whether the sphere is held by the user: moved only from outside the engine,
+   * neither integrated nor pushed by collisions, though it still pushes other spheres.
+   *
+   * @memberOf Sphere
+   */
+  get held () {
+    return this._held
+  }
+
+  /**
+   * Setter method for whether the sphere is held by the user.
+   * @param {boolean} held True if the sphere is held
+   *
+   * @memberOf Sphere
+   */
+  set held (held) {
+    this._held = held
+  }
+
+  /**
+   * Take hold of the sphere, waking it and stopping it dead, so it stays where it is put.
+   *
+   * @memberOf Sphere
+   */
+  hold () {
+    this.wake()
+    this.held = true
+    this.velocity = vec3.create()
+    this.angularVelocity = vec3.create()
+  }
+
+  /**
+   * Let go of the sphere, so it moves on its own again from the next epoch.
+   *
+   * @param {any} [velocity=vec3.create()] vec3 velocity to throw the sphere with
+   *
+   * @memberOf Sphere
+   */
+  release (velocity = vec3.create()) {
+    this.held = false
+    this.velocity = vec3.clone(velocity)
+    this.wake()
+  }
+
+  /**
+   * Given the time elapsed in an epoch, put the sphere to sleep once it has stayed still for SLEEP_TIME.
+   *
+   * @param {number} timeDelta Time elapsed in the epoch
+   *
+   * @memberOf Sphere
+   */
+  updateSleep (timeDelta) {
+    if (this.sleeping) {
+      return
+    }
+
+    // A held sphere only stays still because it is held
+    if (this.held) {
+      this.sleepTimer = 0
+      return
+    }
+
+    // Spin alone does not keep a sphere awake: nothing slows a sphere spinning in place, and a
+    // sphere rolling or about to roll off its spin is moving as well
+    let still = vec3.squaredLength(this.velocity) < Sphere.SLEEP_SPEED * Sphere.SLEEP_SPEED
+
+    this.sleepTimer = still ? this.sleepTimer + timeDelta : 0
+    if (this.sleepTimer >= Sphere.SLEEP_TIME) {
+      this.sleep()
+    }
+  }
+
+  /**
+   * Given a time passed, advance the position and velocity of the sphere with the given integrator
+   * under the given force fields.
    *
    * @param {any} timeDelta Time elapsed in the current epoch
+   * @param {any} [integrator=new SemiImplicitEulerIntegrator()] Integrator to advance the sphere with
+   * @param {any} [forces=createDefaultForces()] Force fields acting on the sphere
    * @returns Returns the new position of the sphere after the current epoch
    *
    * @memberOf Sphere
    */
-  updateVelocity (timeDelta) {
-    let acceleration = this.acceleration
-    vec3.scale(acceleration, acceleration, timeDelta)
+  updatePosition (timeDelta, integrator = new SemiImplicitEulerIntegrator(), forces = createDefaultForces()) {
+    this.acceleration = this.accelerationAt(this.position, this.velocity, forces)
+    integrator.integrate(this, timeDelta, forces)
+
+    return this.position
+  }
+
+  /**
+   * Static constant for the surface coefficients used when none are given:
+   * perfectly elastic and frictionless.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Sphere
+   */
+  static get DEFAULT_SURFACE () {
+    return {
+      restitution: 1,
+      friction: 0
+    }
+  }
+
+  /**
+   * Static constant for the impact speed below which a contact is treated as resting: it does not bounce
+   * and is not counted as a hit.
+   * Without it, a sphere resting under gravity bounces by the speed gravity adds each epoch and never settles.
+   * An impact at least this fast also wakes a sleeping sphere.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Sphere
+   */
+  static get RESTING_SPEED () {
+    return 0.5
+  }
+
+  /**
+   * Given an impact speed and the combined coefficient of restitution of a contact,
+   * return the restitution to bounce with: none for a resting contact.
+   *
+   * @static
+   * @param {number} impactSpeed Speed at which the bodies approach each other
+   * @param {number} restitution Combined coefficient of restitution
+   * @returns Coefficient of restitution to use
+   *
+   * @memberOf Sphere
+   */
+  static contactRestitution (impactSpeed, restitution) {
+    return impactSpeed < Sphere.RESTING_SPEED ? 0 : restitution
+  }
+
+  /**
+   * Given the coefficients of restitution of two bodies in contact, return the combined coefficient.
+   *
+   * @static
+   * @param {number} a Coefficient of restitution of the first body
+   * @param {number} b Coefficient of restitution of the second body
+   * @returns Combined coefficient of restitution
+   *
+   * @memberOf Sphere
+   */
+  static combineRestitution (a, b) {
+    return a * b
+  }
+
+  /**
+   * Given the coefficients of friction of two bodies in contact, return the combined coefficient.
+   *
+   * @static
+   * @param {number} a Coefficient of friction of the first body
+   * @param {number} b Coefficient of friction of the second body
+   * @returns Combined coefficient of friction
+   *
+   * @memberOf Sphere
+   */
+  static combineFriction (a, b) {
+    return Math.sqrt(a * b)
+  }
+
+  /**
+   * Given the tangential slip velocity at a contact, return the Coulomb friction impulse opposing it.
+   * The impulse stops the slip if it can, but is never larger than the given limit.
+   *
+   * @static
+   * @param {any} slip vec3 tangential velocity of the contact point
+   * @param {number} limit Largest friction impulse allowed, the friction coefficient times the normal impulse
+   * @param {number} inverseEffectiveMass Change in slip speed per unit of tangential impulse
+   * @returns vec3 friction impulse
+   *
+   * @memberOf Sphere
+   */
+  static frictionImpulse (slip, limit, inverseEffectiveMass) {
+    let slipSpeed = vec3.length(slip)
+    if (slipSpeed === 0 || limit <= 0) {
+      return vec3.create()
+    }
+
+    let magnitude = Math.min(slipSpeed / inverseEffectiveMass, limit)
+    return vec3.scale(vec3.create(), slip, -magnitude / slipSpeed)
+  }
+
+  /**
+   * Given the offset from the center of the sphere to a point on it, return the velocity of that point,
+   * including the contribution of the spin of the sphere.
+   *
+   * @param {any} offset vec3 offset from the center of the sphere
+   * @returns vec3 velocity of the point
+   *
+   * @memberOf Sphere
+   */
+  velocityAtPoint (offset) {
+    let velocity = vec3.cross(vec3.create(), this.angularVelocity, offset)
+    return vec3.add(velocity, velocity, this.velocity)
+  }
+
+  /**
+   * Apply an impulse at the given offset from the center of the sphere,
+   * changing both its velocity and its spin.
+   *
+   * @param {any} impulse vec3 impulse to apply
+   * @param {any} offset vec3 offset from the center of the sphere the impulse is applied at
+   *
+   * @memberOf Sphere
+   */
+  applyImpulse (impulse, offset) {
+    if (this.sleeping || this.held) {
+      return
+    }
 
     let velocity = this.velocity
-    vec3.scale(velocity, velocity, this.dragFactor(timeDelta))
-    
-    vec3.add(velocity, velocity, acceleration)
+    vec3.scaleAndAdd(velocity, velocity, impulse, 1 / this.mass)
     this.velocity = velocity
 
-    return this.velocity
+    if (this.momentOfInertia > 0) {
+      let torque = vec3.cross(vec3.create(), offset, impulse)
+      let angularVelocity = this.angularVelocity
+      vec3.scaleAndAdd(angularVelocity, angularVelocity, torque, 1 / this.momentOfInertia)
+      this.angularVelocity = angularVelocity
+    }
   }
 
   /**
-   * Convenience method to create a bounding box for a sphere.
+   * Given the normal of a static surface the sphere is touching, pointing from the surface towards
+   * the center of the sphere, push the sphere out of the surface and, if it is moving into it,
+   * bounce it off with the combined restitution and slow it with the combined Coulomb friction.
    *
-   * @param {any} minX Minimum x coordinate of the bounding box
-   * @param {any} maxX Maximum x coordinate of the bounding box
-   * @param {any} minY Minimum y coordinate of the bounding box
-   * @param {any} maxY Maximum y coordinate of the bounding box
-   * @param {any} minZ Minimum z coordinate of the bounding box
-   * @param {any} maxZ Maximum z coordinate of the bounding box
-   * @returns Bounding range object
+   * @param {any} normal vec3 unit normal of the surface
+   * @param {number} penetration Depth the sphere has sunk into the surface
+   * @param {any} surface Restitution and friction of the surface
+   * @returns True if the sphere hit the surface, moving into it at RESTING_SPEED or more, and bounced off
    *
    * @memberOf Sphere
    */
-  createBoundingRange (minX, maxX, minY, maxY, minZ, maxZ) {
-    return {
-      x: {
-        min: minX,
-        max: maxX
-      },
-      y: {
-        min: minY,
-        max: maxY
-      },
-      z: {
-        min: minZ,
-        max: maxZ
-      }
+  resolveSurfaceContact (normal, penetration, surface) {
+    let position = this.position
+    vec3.scaleAndAdd(position, position, normal, penetration)
+    this.position = position
+
+    let approachSpeed = vec3.dot(this.velocity, normal)
+    if (approachSpeed >= 0) {
+      return false
     }
+
+    let restitution = Sphere.contactRestitution(-approachSpeed, Sphere.combineRestitution(this.restitution, surface.restitution))
+    let friction = Sphere.combineFriction(this.friction, surface.friction)
+
+    let offset = vec3.scale(vec3.create(), normal, -this.radius)
+    let normalImpulse = -(1 + restitution) * approachSpeed * this.mass
+
+    // Tangential slip of the contact point, before the bounce
+    let slip = this.velocityAtPoint(offset)
+    vec3.scaleAndAdd(slip, slip, normal, -vec3.dot(slip, normal))
+
+    let impulse = vec3.scale(vec3.create(), normal, normalImpulse)
+    vec3.add(impulse, impulse, Sphere.frictionImpulse(slip, friction * normalImpulse, 1 / this.mass + this.inverseAngularMass))
+
+    this.applyImpulse(impulse, offset)
+
+    // A resting contact only holds the sphere up, and a held or sleeping sphere takes no impulse
+    return -approachSpeed >= Sphere.RESTING_SPEED && !this.sleeping && !this.held
   }
 
   /**
    * Given a time elapsed, handle and and all collisions in the previous epoch
    *
    * @param {any} timeDelta Length of time in last epoch
-   * @param {any} [boundingRange=this.createBoundingRange(-10, 10, -10, 10, -10, 10)] Bounding range to check for out of bounds issues with
-   * 
+   * @param {any} [container=new BoxContainer()] Container to keep the sphere inside
+   * @param {any} [onBounce=null] Function called with the contact and the impact speed of each bounce
+   * @returns Number of surfaces the sphere bounced off
+   *
+   * @memberOf Sphere
+   */
+  handleCollisions (timeDelta, container = new BoxContainer(), onBounce = null) {
+    let bounces = 0
+
+    container.contacts(this).forEach(contact => {
+      let speed = -vec3.dot(this.velocity, contact.normal)
+
+      if (this.resolveSurfaceContact(contact.normal, contact.penetration, contact.surface)) {
+        bounces++
+
+        if (onBounce !== null) {
+          onBounce(contact, speed)
+        }
+      }
+    })
+
+    return bounces
+  }
+
+  /**
+   * Static constant for the most times a sphere is swept against the container in one epoch.
+   * Each impact found ends a sweep, and the rest of the epoch is swept again from there.
+   *
+   * @readonly
+   * @static
+   *
+   * @memberOf Sphere
+   */
+  static get MAX_SWEEPS () {
+    return 4
+  }
+
+  /**
+   * Given a time elapsed, sweep the sphere along its path from where it started to position
+   * and, at the first moment it hits the container, bounce it there and carry it on with its
+   * new velocity for the rest of the time. Catches bounces that a check of the end position
+   * alone would resolve too late, with the sphere already deep inside or past a surface.
+   *
+   * @param {any} timeDelta Length of time the path took
+   * @param {any} [container=new BoxContainer()] Container to keep the sphere inside
+   * @param {any} [onBounce=null] Function called with the contact and the impact speed of each bounce
+   * @param {any} [start=this.previousPosition] vec3 position the path started from
+   * @returns Number of surfaces the sphere bounced off
+   *
    * @memberOf Sphere
    */
-  handleCollisions (timeDelta, boundingRange = this.createBoundingRange(-10, 10, -10, 10, -10, 10)) {
-    let [x, y, z] = this.position
-    let [xVelocity, yVelocity, zVelocity] = this.velocity
+  sweepCollisions (timeDelta, container = new BoxContainer(), onBounce = null, start = this.previousPosition) {
+    let bounces = 0
+    start = vec3.clone(start)
+    let remaining = timeDelta
 
-    // Bounding box of position-- box - radius
-    let xMin = boundingRange.x.min + this.radius
-    let xMax = boundingRange.x.max - this.radius
-    let yMin = boundingRange.y.min + this.radius
-    let yMax = boundingRange.y.max - this.radius
-    let zMin = boundingRange.z.min + this.radius
-    let zMax = boundingRange.z.max - this.radius
+    for (let i = 0; i < Sphere.MAX_SWEEPS; i++) {
+      let contact = container.timeOfImpact(this.radius, start, this.position)
+      if (contact === null) {
+        break
+      }
 
-    if (x <= xMin) {
-      x = xMin
-      xVelocity *= -1
+      vec3.lerp(start, start, this.position, contact.time)
+      this.position = vec3.clone(start)
+
+      let speed = -vec3.dot(this.velocity, contact.normal)
+      if (this.resolveSurfaceContact(contact.normal, 0, contact.surface)) {
+        bounces++
+
+        if (onBounce !== null) {
+          onBounce(contact, speed)
+        }
+      }
+
+      remaining *= 1 - contact.time
+      this.position = vec3.scaleAndAdd(vec3.create(), start, this.velocity, remaining)
     }
 
-    if (x >= xMax) {
-      x = xMax
-      xVelocity *= -1
+    return bounces
+  }
+
+  /**
+   * Given two spheres moving in straight lines from their previous positions to their current ones,
+   * find the first moment they touch.
+   *
+   * @static
+   * @param {Sphere} a First sphere
+   * @param {Sphere} b Second sphere
+   * @returns Time of impact as a fraction of the epoch from 0 to 1, or null if they do not meet or already overlapped at the start
+   *
+   * @memberOf Sphere
+   */
+  static timeOfImpact (a, b) {
+    let reach = a.radius + b.radius
+
+    // Solve |offset + motion * t| = reach for the earliest t, where offset is the start of b
+    // relative to a and motion is how far b moves relative to a. Called for every candidate
+    // pair each epoch, so this is worked out per component without allocating vectors.
+    let quadratic = 0
+    let linear = 0
+    let constant = -reach * reach
+
+    for (let i = 0; i < 3; i++) {
+      let offset = b.previousPosition[i] - a.previousPosition[i]
+      let motion = (b.position[i] - b.previousPosition[i]) - (a.position[i] - a.previousPosition[i])
+
+      quadratic += motion * motion
+      linear += 2 * offset * motion
+      constant += offset * offset
     }
 
-    if (y <= yMin) {
-      y = yMin
-      yVelocity *= -1
+    if (constant <= 0 || linear >= 0) {
+      return null
     }
 
-    if (y >= yMax) {
-      y = yMax
-      yVelocity *= -1
+    let discriminant = linear * linear - 4 * quadratic * constant
+    if (discriminant < 0) {
+      return null
     }
 
-    if (z <= zMin) {
-      z = zMin
-      zVelocity *= -1
+    let time = (-linear - Math.sqrt(discriminant)) / (2 * quadratic)
+    return time <= 1 ? time : null
+  }
+
+  /**
+   * Given a ray, return how far along it the ray first meets the surface of the sphere.
+   * A ray starting inside the sphere meets the surface on its way out.
+   *
+   * @param {any} origin vec3 start of the ray
+   * @param {any} direction vec3 unit direction of the ray
+   * @param {any} [center=this.position] vec3 center to put the sphere at, such as its interpolated position
+   * @returns Distance along the ray, or null if the ray misses the sphere
+   *
+   * @memberOf Sphere
+   */
+  intersectRay (origin, direction, center = this.position) {
+    let offset = vec3.subtract(vec3.create(), center, origin)
+    let along = vec3.dot(offset, direction)
+
+    // Squared distance from the center to the closest point of the line
+    let squaredMiss = vec3.squaredLength(offset) - along * along
+    let squaredRadius = this.radius * this.radius
+    if (squaredMiss > squaredRadius) {
+      return null
     }
 
-    if (z >= zMax) {
-      z = zMax
-      zVelocity *= -1
+    let halfChord = Math.sqrt(squaredRadius - squaredMiss)
+    let distance = along - halfChord >= 0 ? along - halfChord : along + halfChord
+    return distance >= 0 ? distance : null
+  }
+
+  /**
+   * Returns a plain object describing the sphere, for saving in a snapshot.
+   *
+   * @returns JSON-compatible description of the sphere
+   *
+   * @memberOf Sphere
+   */
+  toJSON () {
+    return {
+      id: this.id,
+      age: this.age,
+      // JSON has no Infinity, so a sphere that never despawns has a null lifetime
+      lifetime: this.lifetime === Infinity ? null : this.lifetime,
+      radius: this.radius,
+      position: Array.from(this.position),
+      previousPosition: Array.from(this.previousPosition),
+      velocity: Array.from(this.velocity),
+      angularVelocity: Array.from(this.angularVelocity),
+      // Only an explicitly overridden mass is saved; otherwise it follows from the density
+      mass: this._mass,
+      density: this.density,
+      restitution: this.restitution,
+      friction: this.friction,
+      color: Array.from(this.color),
+      shading: this.shading.toJSON(),
+      material: this.material.toJSON(),
+      integrator: this.integrator === null ? null : this.integrator.name,
+      sleeping: this.sleeping,
+      sleepTimer: this.sleepTimer
     }
+  }
 
-    this.position = vec3.fromValues(x, y, z)
-    this.velocity = vec3.fromValues(xVelocity, yVelocity, zVelocity)
+  /**
+   * Given a description saved by toJSON, create the sphere it describes.
+   *
+   * @static
+   * @param {any} json Description of the sphere
+   * @returns New sphere
+   *
+   * @memberOf Sphere
+   */
+  static fromJSON (json) {
+    let sphere = new Sphere(json.radius, 0, Material.fromJSON(json.material))
+
+    sphere.position = vec3.clone(json.position)
+    sphere.previousPosition = vec3.clone(json.previousPosition)
+    sphere.velocity = vec3.clone(json.velocity)
+    sphere.angularVelocity = vec3.clone(json.angularVelocity)
+    sphere.mass = json.mass
+    sphere.density = json.density
+    sphere.restitution = json.restitution
+    sphere.friction = json.friction
+    sphere.color = vec3.clone(json.color)
+    if (json.shading !== undefined) {
+      sphere.shading = ShadingMaterial.fromJSON(json.shading)
+    }
+    sphere.integrator = json.integrator === null ? null : createIntegrator(json.integrator)
+
+    // Snapshots saved before spheres had identities and lifetimes lack these
+    sphere.id = json.id === undefined ? null : json.id
+    sphere.age = json.age || 0
+    sphere.lifetime = json.lifetime === undefined || json.lifetime === null ? Infinity : json.lifetime
+    sphere.sleeping = json.sleeping || false
+    sphere.sleepTimer = json.sleepTimer || 0
 
-    // this.tick(maxOverlap)
+    return sphere
   }
 
   /**
-   * Animate single epoch of this sphere
+   * Animate single epoch of this sphere; a sleeping or held sphere only ages
    *
    * @param {any} timeDelta Time elapsed in current epoch
+   * @param {any} [integrator=new SemiImplicitEulerIntegrator()] Integrator to advance the sphere with, unless it has its own
+   * @param {any} [container] Container to keep the sphere inside
+   * @param {any} [forces] Force fields acting on the sphere
+   * @param {any} [onBounce=null] Function called with the contact and the impact speed of each bounce off the container
+   * @param {boolean} [continuous=false] Whether to sweep the path of the sphere for bounces, rather than only check where it ends up
+   * @returns Number of contacts with the container resolved
    *
    * @memberOf Sphere
    */
-  tick (timeDelta) {
-    this.updatePosition(timeDelta)
-    this.handleCollisions(timeDelta)
+  tick (timeDelta, integrator = new SemiImplicitEulerIntegrator(), container, forces, onBounce = null, continuous = false) {
+    this.previousPosition = vec3.clone(this.position)
+    this.age += timeDelta
+
+    if (this.sleeping || this.held) {
+      return 0
+    }
+
+    this.updatePosition(timeDelta, this.integrator || integrator, forces)
+
+    let bounces = continuous ? this.sweepCollisions(timeDelta, container, onBounce) : 0
+    return bounces + this.handleCollisions(timeDelta, container, onBounce)
   }
 }
+
+if (typeof module !== 'undefined') {
+  module.exports = { Sphere }
+}
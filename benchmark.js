@@ -0,0 +1,150 @@
+/**
+ * Sphere counts to benchmark a physics step at.
+ */
+var BENCHMARK_COUNTS = [1000, 5000, 10000]
+
+/**
+ * Number of timed physics steps at each sphere count.
+ */
+var BENCHMARK_STEPS = 3
+
+/**
+ * Given a number of spheres, create the shared starting state used by every broad-phase,
+ * so that each one is timed on (and produces) the same simulation.
+ *
+ * @param {number} count Number of spheres to create
+ * @returns Array of sphere start states
+ */
+function createBenchmarkStates (count) {
+  let states = []
+  let container = new BoxContainer()
+
+  for (let i = 0; i < count; i++) {
+    // Small radii so 10k spheres fit comfortably in the box
+    let sphere = new Sphere(Math.random() * 0.2 + 0.05)
+    states.push({
+      radius: sphere.radius,
+      position: container.randomPosition(sphere.radius),
+      velocity: vec3.clone(sphere.velocity)
+    })
+  }
+
+  return states
+}
+
+/**
+ * Given start states and a broad-phase, create a physics engine containing those spheres.
+ *
+ * @param {any} states Array of sphere start states
+ * @param {any} broadPhase Broad-phase for the engine to use
+ * @param {boolean} [continuousCollisions=false] Whether the engine sweeps for collisions
+ * @returns Physics engine ready to step
+ */
+function createBenchmarkEngine (states, broadPhase, continuousCollisions = false) {
+  let engine = new PhysicsEngine(broadPhase)
+  engine.continuousCollisions = continuousCollisions
+
+  // Only the step itself is timed, not recording frames for replay or measuring energy and momentum
+  engine.recorder = null
+  engine.diagnostics = null
+
+  states.forEach(state => {
+    let sphere = new Sphere(state.radius)
+    sphere.position = vec3.clone(state.position)
+    sphere.velocity = vec3.clone(state.velocity)
+    engine.addSphere(sphere)
+  })
+
+  return engine
+}
+
+/**
+ * Count the overlapping pairs among the candidates the engine's broad-phase reports.
+ * Every broad-phase should find exactly the same overlapping pairs.
+ *
+ * @param {any} engine Physics engine to count overlapping pairs in
+ * @returns Number of overlapping pairs
+ */
+function countOverlappingPairs (engine) {
+  let overlapping = 0
+
+  engine.broadPhase.update(engine.sphereList)
+  engine.broadPhase.forEachCandidatePair((a, b) => {
+    let reach = a.radius + b.radius
+    if (vec3.squaredDistance(a.position, b.position) < reach * reach) {
+      overlapping++
+    }
+  })
+
+  return overlapping
+}
+
+/**
+ * Step the engine a number of times and return the mean step time in milliseconds.
+ *
+ * @param {any} engine Physics engine to step
+ * @param {number} steps Number of steps to time
+ * @returns Mean step time in milliseconds
+ */
+function timeBenchmarkSteps (engine, steps) {
+  let start = performance.now()
+
+  for (let i = 0; i < steps; i++) {
+    engine.tick(1 / 60)
+  }
+
+  return (performance.now() - start) / steps
+}
+
+/**
+ * Run the benchmark at every sphere count, calling report with a line of output for each result.
+ *
+ * @param {any} report Function to call with each line of output
+ * @param {any} [done] Function to call once every count has been benchmarked
+ */
+function runBenchmark (report, done) {
+  let configurations = {
+    'brute force': states => createBenchmarkEngine(states, new BruteForceBroadPhase()),
+    'spatial hash': states => createBenchmarkEngine(states, new SpatialHashBroadPhase(0.6)),
+    'spatial hash, continuous': states => createBenchmarkEngine(states, new SpatialHashBroadPhase(0.6), true)
+  }
+
+  report(`Mean step time over ${BENCHMARK_STEPS} steps`)
+
+  let remaining = BENCHMARK_COUNTS.slice()
+
+  // Yield between counts so the page can show progress
+  let next = () => {
+    if (remaining.length === 0) {
+      if (done) {
+        done()
+      }
+      return
+    }
+
+    let count = remaining.shift()
+    let states = createBenchmarkStates(count)
+
+    Object.keys(configurations).forEach(name => {
+      let engine = configurations[name](states)
+      let overlapping = countOverlappingPairs(engine)
+      let milliseconds = timeBenchmarkSteps(engine, BENCHMARK_STEPS)
+      report(`${count} spheres, ${name}: ${milliseconds.toFixed(2)} ms/step (${overlapping} overlapping pairs at start)`)
+    })
+
+    setTimeout(next, 0)
+  }
+
+  next()
+}
+
+/**
+ * Runs the benchmark and prints its results into the page.
+ */
+function startup () {
+  let output = document.getElementById('output')
+
+  runBenchmark(line => {
+    output.textContent += line + '\n'
+  })
+}
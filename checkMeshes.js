@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Checks the sphere meshes from simpleModeling.js at every level of detail the page draws, plus
+ * the coarsest icosphere: the vertex and triangle counts match the formulas for each generator,
+ * every normal is unit length, and the surface is watertight with consistent winding.
+ *
+ * Usage: node checkMeshes.js
+ *
+ * Prints a line per mesh and exits with status 1 if any mesh fails.
+ */
+const glMatrix = require('./gl-matrix-min.js')
+
+// The generators use vec3 as a global, the way the page loads gl-matrix
+Object.assign(global, glMatrix)
+
+const { icosphereMesh, uvSphereMesh, validateMesh } = require('./simpleModeling.js')
+
+/**
+ * Returns each mesh to check, with its expected vertex and triangle counts.
+ *
+ * @returns Array of objects with a name, mesh, and expected vertex and triangle counts
+ */
+function meshesToCheck () {
+  let icospheres = [0, 1, 2, 3, 4].map(level => ({
+    name: `icosphere level ${level}`,
+    mesh: icosphereMesh(level),
+    vertexCount: 10 * Math.pow(4, level) + 2,
+    triangleCount: 20 * Math.pow(4, level)
+  }))
+
+  let uvSpheres = [[6, 12], [12, 24], [24, 48], [48, 96]].map(([latitude, longitude]) => ({
+    name: `uv sphere ${latitude} x ${longitude}`,
+    mesh: uvSphereMesh(latitude, longitude),
+    vertexCount: (latitude + 1) * (longitude + 1),
+    triangleCount: 2 * longitude * (latitude - 1)
+  }))
+
+  return icospheres.concat(uvSpheres)
+}
+
+/**
+ * Given a mesh and its expected counts, return every problem with it.
+ *
+ * @param {any} check Object with the mesh and its expected vertex and triangle counts
+ * @returns Array of problems, empty if the mesh passes
+ */
+function checkMesh (check) {
+  let result = validateMesh(check.mesh)
+  let problems = result.errors.slice()
+
+  if (result.vertexCount !== check.vertexCount) {
+    problems.push(`${result.vertexCount} vertices, expected ${check.vertexCount}`)
+  }
+  if (result.triangleCount !== check.triangleCount) {
+    problems.push(`${result.triangleCount} triangles, expected ${check.triangleCount}`)
+  }
+  if (!result.watertight && result.errors.length === 0) {
+    problems.push('not watertight')
+  }
+
+  return problems
+}
+
+function main () {
+  let failed = 0
+
+  meshesToCheck().forEach(check => {
+    let problems = checkMesh(check)
+    if (problems.length === 0) {
+      console.log(`ok   ${check.name}: ${check.vertexCount} vertices, ${check.triangleCount} triangles`)
+    } else {
+      failed++
+      console.log(`FAIL ${check.name}: ${problems.join('; ')}`)
+    }
+  })
+
+  if (failed > 0) {
+    process.exit(1)
+  }
+}
+
+main()
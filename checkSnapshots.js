@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Checks that snapshots restore atomically: a good snapshot restores to exactly the state it was
+ * saved from, and a snapshot that fails to load leaves the engine it was loaded into unchanged.
+ *
+ * Usage: node checkSnapshots.js
+ *
+ * Prints a line per snapshot and exits with status 1 if any check fails.
+ */
+const { PhysicsEngine } = require('./headless.js')
+
+/**
+ * Given a seed, create an engine with a few spheres that has run for a while.
+ *
+ * @param {number} seed Seed for the random number generator
+ * @returns Physics engine
+ */
+function createEngine (seed) {
+  let engine = new PhysicsEngine()
+  engine.seed = seed
+  for (let i = 0; i < 5; i++) {
+    engine.addSphere()
+  }
+  engine.advance(0.5)
+  return engine
+}
+
+/**
+ * Given an engine, return everything restoring a snapshot could change, as a string to compare.
+ *
+ * @param {any} engine Physics engine
+ * @returns String describing the state of the engine
+ */
+function describe (engine) {
+  return JSON.stringify({
+    snapshot: engine,
+    ids: Array.from(engine.spheresById.keys()),
+    accumulator: engine.accumulator
+  })
+}
+
+/**
+ * Returns each bad snapshot to check, made by breaking one part of a good snapshot.
+ *
+ * @returns Array of objects with a name and a function that breaks a snapshot in place
+ */
+function badSnapshots () {
+  return [
+    { name: 'unsupported version', damage: snapshot => { snapshot.version = -1 } },
+    { name: 'unknown container', damage: snapshot => { snapshot.container = { type: 'nope' } } },
+    { name: 'unknown force field', damage: snapshot => { snapshot.forces.push({ type: 'nope' }) } },
+    { name: 'unknown integrator', damage: snapshot => { snapshot.settings.integrator = 'nope' } },
+    { name: 'invalid population policy', damage: snapshot => { snapshot.settings.populationPolicy = 'nope' } },
+    { name: 'invalid max spheres after valid settings', damage: snapshot => { snapshot.settings.maxSpheres = -1 } },
+    { name: 'duplicate sphere id', damage: snapshot => { snapshot.spheres[1].id = snapshot.spheres[0].id } }
+  ]
+}
+
+function main () {
+  let failed = 0
+  let report = (ok, name, problem) => {
+    if (ok) {
+      console.log(`ok   ${name}`)
+    } else {
+      failed++
+      console.log(`FAIL ${name}: ${problem}`)
+    }
+  }
+
+  let saved = createEngine(3)
+  let good = JSON.stringify(saved)
+
+  let restored = createEngine(99)
+  restored.restore(good)
+  report(JSON.stringify(restored) === good, 'good snapshot', 'restored state differs from the saved one')
+
+  badSnapshots().forEach(({ name, damage }) => {
+    let snapshot = JSON.parse(good)
+    damage(snapshot)
+
+    let engine = createEngine(99)
+    let before = describe(engine)
+
+    let threw = false
+    try {
+      engine.restore(snapshot)
+    } catch (e) {
+      threw = true
+    }
+
+    if (!threw) {
+      report(false, name, 'loaded without an error')
+    } else {
+      report(describe(engine) === before, name, 'engine changed although the snapshot failed to load')
+    }
+  })
+
+  if (failed > 0) {
+    process.exit(1)
+  }
+}
+
+main()
@@ -0,0 +1,34 @@
+/**
+ * Loads the physics core into Node, without a DOM or WebGL.
+ *
+ * In the browser every class is a global defined by its script tag, and the classes refer to
+ * each other (and to vec3 from gl-matrix) through those globals. Each physics script also exports
+ * its classes when loaded as a Node module, so here they are required and installed as globals
+ * the same way, then re-exported together.
+ *
+ * Usage: const { PhysicsEngine, Sphere } = require('./headless.js')
+ */
+const glMatrix = require('./gl-matrix-min.js')
+
+Object.assign(global, glMatrix)
+
+// Each module is installed as soon as it loads, since a class that extends another needs its base class defined
+const physicsModules = [
+  './Random.js',
+  './Material.js',
+  './Integrators.js',
+  './ForceFields.js',
+  './Container.js',
+  './BroadPhase.js',
+  './Recorder.js',
+  './Diagnostics.js',
+  './EventEmitter.js',
+  './Sphere.js',
+  './PhysicsEngine.js'
+].map(path => {
+  let exports = require(path)
+  Object.assign(global, exports)
+  return exports
+})
+
+module.exports = Object.assign({}, glMatrix, ...physicsModules)
@@ -4,18 +4,35 @@ var canvas
 var shaderProgram
 var vertexShader
 var fragmentShader
+var meshProgram
+var instancedProgram = null
+
+var depthProgram
+var blobProgram
+
+var instancing = null
+var instanceBuffer
+var renderMode = 'per-sphere'
+var measureDrawTime = false
+var drawTime = 0
 
 var now = Date.now()
 var then = 0
 
 var vertexPositionBuffer
-var sphereVertexPositionBuffer
-var sphereVertexNormalBuffer
 
-var eyePt = vec3.fromValues(30.0, 30.0, 30.0)
-var viewDir = vec3.fromValues(-1.0, -1.0, -1.0)
-var up = vec3.fromValues(0.0, 1.0, 0.0)
-var viewPt = vec3.fromValues(0.0, 0.0, 0.0)
+// Buffers for each tessellation of the sphere, one per level of detail from coarsest to finest
+var sphereMeshes = {}
+var sphereTessellation = 'icosphere'
+var trianglesDrawn = 0
+
+// Radius on screen, in pixels, from which each finer level of detail is used
+var LOD_SCREEN_RADII = [8, 24, 64]
+
+// Height in pixels of what the current pass draws into, for picking levels of detail
+var lodScreenHeight = 0
+
+var camera
 
 var nMatrix = mat3.create()
 var mvMatrix = mat4.create()
@@ -23,50 +40,314 @@ var pMatrix = mat4.create()
 
 var currentlyPressedKeys = {}
 
+// Key codes of the camera controls; the zoom keys have different codes in different browsers
+var CAMERA_KEYS = {
+  orbitLeft: [37],
+  orbitRight: [39],
+  orbitUp: [38],
+  orbitDown: [40],
+  forward: [87],
+  back: [83],
+  left: [65],
+  right: [68],
+  zoomIn: [187, 61, 107],
+  zoomOut: [189, 173, 109],
+  reset: [82],
+  follow: [70]
+}
+
+// Radians per second the arrow keys turn the camera, fraction of the distance per second WASD move it,
+// and rate per second the zoom keys zoom it at
+var KEY_ORBIT_SPEED = Math.PI / 2
+var KEY_MOVE_SPEED = 0.5
+var KEY_ZOOM_SPEED = 1.5
+
+// Radians per pixel dragging the mouse turns the camera
+var MOUSE_ORBIT_SPEED = 0.005
+
+// What dragging the mouse on the canvas does, or null, and where the mouse was when last seen
+var dragButton = null
+var lastMouseX = 0
+var lastMouseY = 0
+
+// Where the mouse was when its button went down, to tell a click from a drag
+var mouseDownX = 0
+var mouseDownY = 0
+
+// Farthest in pixels the mouse can move between pressing and releasing the button for a click
+var CLICK_DISTANCE = 4
+
+// Id of the sphere shown in the inspector, or null
+var selectedId = null
+
+// The sphere being dragged, with the plane it is dragged across and where it has been lately, or null
+var grab = null
+
+// Seconds of dragging the velocity of a thrown sphere is measured over
+var THROW_SAMPLE_TIME = 0.1
+
+// Fastest a sphere can be thrown, the same as the fastest a random sphere is spawned
+var MAX_THROW_SPEED = 100
+
+// Largest radius the inspector allows, as a fraction of the shortest side of the container's bounds
+var MAX_EDIT_RADIUS_FRACTION = 0.25
+
+// Densest the inspector lets a sphere of the largest radius be, relative to water, bounding the mass
+var MAX_EDIT_DENSITY = 100
+
 var mvMatrixStack = []
 
+var scene
+var sphereGroup
+var containerGroup
+var blobGroup
+
+// How the first light casts shadows: map renders a shadow map from it, blob darkens a soft spot
+// on the floor under each sphere for devices that cannot afford a map, and off casts none
+var shadowMode = 'map'
+var shadowMap = null
+var blobMesh
+
+// Buffers of the unit planes the faces of the container are drawn from, and the container they were last placed for
+var floorMesh
+var wallMesh
+var shownContainer = null
+
+var FLOOR_MATERIAL = ShadingMaterial.fromColor(vec3.fromValues(0.45, 0.45, 0.5), vec3.fromValues(0.2, 0.2, 0.2), 16)
+
+// Walls are thin wireframe lines, so they mostly reflect ambient light, turned up enough to show on the dark sides of the box
+var WALL_MATERIAL = new ShadingMaterial(vec3.fromValues(3, 3, 3.5), vec3.fromValues(0.3, 0.3, 0.35), vec3.create(), 1)
+
+// Name, inward normal and in-plane up direction of each face of the box around a container
+var CONTAINER_FACES = [
+  ['floor', vec3.fromValues(0, 1, 0), vec3.fromValues(0, 0, -1)],
+  ['ceiling', vec3.fromValues(0, -1, 0), vec3.fromValues(0, 0, 1)],
+  ['left', vec3.fromValues(1, 0, 0), vec3.fromValues(0, 1, 0)],
+  ['right', vec3.fromValues(-1, 0, 0), vec3.fromValues(0, 1, 0)],
+  ['back', vec3.fromValues(0, 0, 1), vec3.fromValues(0, 1, 0)],
+  ['front', vec3.fromValues(0, 0, -1), vec3.fromValues(0, 1, 0)]
+]
+
 var physics
+var extraForce = null
+var materialName = 'default'
+var sphereLifetime = Infinity
+var tintSleeping = false
+
+// Material sleeping spheres are drawn in while tintSleeping is on
+var SLEEPING_TINT = ShadingMaterial.fromColor(vec3.fromValues(0.2, 0.4, 1.0))
+
+// Ambient color added to the selected sphere, so it glows even in shadow
+var SELECTED_GLOW = vec3.fromValues(4, 4, 2)
+
+// Lights fixed in the world: a point light above the scene, and a dimmer sun from the other side to fill in shadowed sides
+var lights = [
+  new PointLight(vec3.fromValues(-10.0, 30.0, -10.0), vec3.fromValues(0.15, 0.15, 0.15), vec3.fromValues(0.9, 0.9, 0.9), vec3.fromValues(1, 1, 1)),
+  new DirectionalLight(vec3.fromValues(-1.0, -0.5, 0.5), vec3.fromValues(0.05, 0.05, 0.05), vec3.fromValues(0.35, 0.35, 0.4), vec3.fromValues(0.3, 0.3, 0.3))
+]
+
+var playback = null
+
+// Seconds to keep the address of a downloaded file alive, since some browsers cancel the download
+// if it is revoked before they have started reading the file
+var DOWNLOAD_URL_LIFETIME = 10
 
 /**
- * Instantiate the sphere buffers to be used later in rendering code
+ * Given an indexed mesh, upload its positions, normals and indices into buffers for drawing.
+ * The mesh is checked with validateMesh first, and any problems are logged.
+ *
+ * @param {any} mesh Mesh with positions, normals, uvs and indices as flat arrays
+ * @returns Object holding the position, normal and index buffers and the number of indices
  */
-function setupSphereBuffers () {
-  let sphereSoup = []
-  let sphereNormals = []
+function createMeshBuffers (mesh) {
+  let validation = validateMesh(mesh)
+  validation.errors.forEach(error => console.log(`Invalid mesh: ${error}`))
+
+  if (validation.vertexCount > 65536) {
+    throw Error(`Mesh has too many vertices for 16-bit indices: ${validation.vertexCount}`)
+  }
 
-  let numT = sphereFromSubdivision(6, sphereSoup, sphereNormals)
+  let positionBuffer = gl.createBuffer()
+  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer)
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(mesh.positions), gl.STATIC_DRAW)
 
-  console.log(`Generated ${numT} triangles.`)
+  // Specify normals to be able to do lighting calculations
+  let normalBuffer = gl.createBuffer()
+  gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer)
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(mesh.normals), gl.STATIC_DRAW)
+
+  let indexBuffer = gl.createBuffer()
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer)
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(mesh.indices), gl.STATIC_DRAW)
+
+  return {
+    positionBuffer,
+    normalBuffer,
+    indexBuffer,
+    indexCount: mesh.indices.length
+  }
+}
 
-  sphereVertexPositionBuffer = gl.createBuffer()
-  gl.bindBuffer(gl.ARRAY_BUFFER, sphereVertexPositionBuffer)
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(sphereSoup), gl.STATIC_DRAW)
+/**
+ * Instantiate the sphere buffers to be used later in rendering code:
+ * each tessellation at every level of detail, from coarsest to finest
+ */
+function setupSphereBuffers () {
+  let meshes = {
+    icosphere: [1, 2, 3, 4].map(level => icosphereMesh(level)),
+    uv: [[6, 12], [12, 24], [24, 48], [48, 96]].map(([latitude, longitude]) => uvSphereMesh(latitude, longitude))
+  }
 
-  sphereVertexPositionBuffer.itemSize = 3
-  sphereVertexPositionBuffer.numItems = numT * 3
-  console.log(`sphereSoup.length / 9: ${sphereSoup.length / 9}`)
+  Object.keys(meshes).forEach(tessellation => {
+    sphereMeshes[tessellation] = meshes[tessellation].map(createMeshBuffers)
+    console.log(`Generated ${tessellation} levels of ${meshes[tessellation].map(mesh => mesh.indices.length / 3).join(', ')} triangles.`)
+  })
+}
 
-  // Specify normals to be able to do lighting calculations
-  sphereVertexNormalBuffer = gl.createBuffer()
-  gl.bindBuffer(gl.ARRAY_BUFFER, sphereVertexNormalBuffer)
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(sphereNormals), gl.STATIC_DRAW)
-  sphereVertexNormalBuffer.itemSize = 3
-  sphereVertexNormalBuffer.numItems = numT * 3
+/**
+ * Given the radius of a sphere and the depth of its center in eye coordinates, pick the level
+ * of detail to draw it at from the radius it covers on screen, in pixels
+ *
+ * @param {number} radius Radius of the sphere in eye coordinates
+ * @param {number} depth Distance of the center of the sphere in front of the eye
+ * @returns Index of the level of detail, from 0 for the coarsest
+ */
+function sphereLevelOfDetail (radius, depth) {
+  // pMatrix[5] is the cotangent of half the vertical field of view, or for an orthographic
+  // projection the inverse of half its height, where distance does not shrink anything
+  let orthographic = pMatrix[11] === 0
+  let screenRadius = radius * pMatrix[5] / (orthographic ? 1 : Math.max(depth, 0.1)) * lodScreenHeight / 2
+
+  let level = 0
+  while (level < LOD_SCREEN_RADII.length && screenRadius >= LOD_SCREEN_RADII[level]) {
+    level++
+  }
 
-  console.log(`Normals: ${sphereNormals.length / 3}`)
+  return level
 }
 
 /**
- * Draw a sphere using the information currently in the buffers
+ * Bind the buffers of an indexed mesh to the position and normal attributes of the current program
+ *
+ * @param {any} mesh Buffers of the mesh, as made by createMeshBuffers
  */
-function drawSphere () {
-  gl.bindBuffer(gl.ARRAY_BUFFER, sphereVertexPositionBuffer)
-  gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, sphereVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0)
+function bindMesh (mesh) {
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.positionBuffer)
+  gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, 3, gl.FLOAT, false, 0, 0)
 
   // Bind normal buffer
-  gl.bindBuffer(gl.ARRAY_BUFFER, sphereVertexNormalBuffer)
-  gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, sphereVertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0)
-  gl.drawArrays(gl.TRIANGLES, 0, sphereVertexPositionBuffer.numItems)
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.normalBuffer)
+  gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, 3, gl.FLOAT, false, 0, 0)
+
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.indexBuffer)
+}
+
+/**
+ * Draw a sphere using the given level of detail of the current tessellation
+ *
+ * @param {number} level Index of the level of detail, from 0 for the coarsest
+ */
+function drawSphere (level) {
+  let mesh = sphereMeshes[sphereTessellation][level]
+  bindMesh(mesh)
+  gl.drawElements(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_SHORT, 0)
+  trianglesDrawn += mesh.indexCount / 3
+}
+
+/**
+ * Instantiate the buffers for the faces of the container: a shaded floor and wireframe walls,
+ * both spanning -1 to 1 in the z = 0 plane and facing +z
+ */
+function setupContainerBuffers () {
+  let floorPositions = []
+  let floorIndices = []
+  planeFromIteration(16, -1, 1, -1, 1, floorPositions, floorIndices)
+
+  floorMesh = createPlaneBuffers(floorPositions, floorIndices)
+
+  let wallSoup = []
+  planeFromSubdivision(3, -1, 1, -1, 1, wallSoup)
+
+  // Turn each triangle into its three edges, keeping edges shared between triangles only once
+  let edges = new Map()
+  for (let i = 0; i < wallSoup.length; i += 9) {
+    let corners = [0, 3, 6].map(offset => wallSoup.slice(i + offset, i + offset + 3))
+    corners.forEach((corner, j) => {
+      let next = corners[(j + 1) % 3]
+      let key = [corner, next].map(point => point.join(',')).sort().join(' ')
+      edges.set(key, corner.concat(next))
+    })
+  }
+
+  wallMesh = createPlaneBuffers([].concat(...edges.values()))
+}
+
+/**
+ * Given the flat positions of a plane in the z = 0 plane, upload them into a buffer along with
+ * normals facing +z, and its indices if it has any
+ *
+ * @param {any} positions Flat array of x, y, z positions
+ * @param {any} [indices=null] Flat array of vertex indices, three per triangle
+ * @returns Object holding the position, normal and any index buffers and the numbers of vertices and indices
+ */
+function createPlaneBuffers (positions, indices = null) {
+  let normals = []
+  for (let i = 0; i < positions.length; i += 3) {
+    normals.push(0, 0, 1)
+  }
+
+  let positionBuffer = gl.createBuffer()
+  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer)
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW)
+
+  let normalBuffer = gl.createBuffer()
+  gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer)
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW)
+
+  let plane = {
+    positionBuffer,
+    normalBuffer,
+    vertexCount: positions.length / 3
+  }
+
+  if (indices !== null) {
+    plane.indexBuffer = gl.createBuffer()
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, plane.indexBuffer)
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW)
+    plane.indexCount = indices.length
+  }
+
+  return plane
+}
+
+/**
+ * Draw the floor of the container for a scene node, shaded in its material
+ *
+ * @param {any} node Scene node to draw
+ */
+function drawFloorNode (node) {
+  uploadMaterialToShader(node.material)
+  setMatrixUniforms()
+
+  bindMesh(floorMesh)
+  gl.drawElements(gl.TRIANGLES, floorMesh.indexCount, gl.UNSIGNED_SHORT, 0)
+  trianglesDrawn += floorMesh.indexCount / 3
+}
+
+/**
+ * Draw a wall of the container for a scene node, as a wireframe in its material
+ *
+ * @param {any} node Scene node to draw
+ */
+function drawWallNode (node) {
+  uploadMaterialToShader(node.material)
+  setMatrixUniforms()
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, wallMesh.positionBuffer)
+  gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, 3, gl.FLOAT, false, 0, 0)
+  gl.bindBuffer(gl.ARRAY_BUFFER, wallMesh.normalBuffer)
+  gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, 3, gl.FLOAT, false, 0, 0)
+  gl.drawArrays(gl.LINES, 0, wallMesh.vertexCount)
 }
 
 /**
@@ -200,6 +481,63 @@ function loadShaderFromDOM (id) {
   return shader
 }
 
+/**
+ * Given a vertex and fragment shader, link them into a program and look up its attributes and uniforms
+ *
+ * @param {any} vertex Compiled vertex shader
+ * @param {any} fragment Compiled fragment shader
+ * @returns Linked program, with the locations of its attributes and uniforms as properties
+ */
+function createShaderProgram (vertex, fragment) {
+  var program = gl.createProgram()
+  gl.attachShader(program, vertex)
+  gl.attachShader(program, fragment)
+
+  // Every program reads the mesh from the same attribute locations, so switching programs keeps the mesh bound
+  gl.bindAttribLocation(program, 0, 'aVertexPosition')
+  gl.bindAttribLocation(program, 1, 'aVertexNormal')
+  gl.linkProgram(program)
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    window.alert('Failed to setup shaders')
+  }
+
+  program.vertexPositionAttribute = gl.getAttribLocation(program, 'aVertexPosition')
+  program.vertexNormalAttribute = gl.getAttribLocation(program, 'aVertexNormal')
+
+  program.mvMatrixUniform = gl.getUniformLocation(program, 'uMVMatrix')
+  program.pMatrixUniform = gl.getUniformLocation(program, 'uPMatrix')
+  program.nMatrixUniform = gl.getUniformLocation(program, 'uNMatrix')
+
+  program.uniformLightCountLoc = gl.getUniformLocation(program, 'uLightCount')
+  program.uniformLightPositionLoc = gl.getUniformLocation(program, 'uLightPosition')
+  program.uniformAmbientLightColorLoc = gl.getUniformLocation(program, 'uAmbientLightColor')
+  program.uniformDiffuseLightColorLoc = gl.getUniformLocation(program, 'uDiffuseLightColor')
+  program.uniformSpecularLightColorLoc = gl.getUniformLocation(program, 'uSpecularLightColor')
+
+  program.uniformAmbientMatColorLoc = gl.getUniformLocation(program, 'uAmbientMatColor')
+  program.uniformDiffuseMatColorLoc = gl.getUniformLocation(program, 'uDiffuseMatColor')
+  program.uniformSpecularMatColorLoc = gl.getUniformLocation(program, 'uSpecularMatColor')
+  program.uniformShininessLoc = gl.getUniformLocation(program, 'uShininess')
+
+  program.uniformShadowMapEnabledLoc = gl.getUniformLocation(program, 'uShadowMapEnabled')
+  program.uniformShadowMapLoc = gl.getUniformLocation(program, 'uShadowMap')
+  program.uniformShadowMatrixLoc = gl.getUniformLocation(program, 'uShadowMatrix')
+  program.uniformShadowMapSizeLoc = gl.getUniformLocation(program, 'uShadowMapSize')
+
+  return program
+}
+
+/**
+ * Make the given program the current one, which the upload functions send their uniforms to
+ *
+ * @param {any} program Program to use
+ */
+function useProgram (program) {
+  shaderProgram = program
+  gl.useProgram(program)
+}
+
 /**
  * Setup shaders and create the program to use in the application 
  */
@@ -207,180 +545,1533 @@ function setupShaders () {
   vertexShader = loadShaderFromDOM('vshader')
   fragmentShader = loadShaderFromDOM('fshader')
 
-  shaderProgram = gl.createProgram()
-  gl.attachShader(shaderProgram, vertexShader)
-  gl.attachShader(shaderProgram, fragmentShader)
-  gl.linkProgram(shaderProgram)
+  meshProgram = createShaderProgram(vertexShader, fragmentShader)
 
-  if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-    window.alert('Failed to setup shaders')
+  depthProgram = createShaderProgram(loadShaderFromDOM('vshader-depth'), loadShaderFromDOM('fshader-depth'))
+
+  blobProgram = createShaderProgram(loadShaderFromDOM('vshader-blob'), loadShaderFromDOM('fshader-blob'))
+  blobProgram.uniformOpacityLoc = gl.getUniformLocation(blobProgram, 'uOpacity')
+
+  useProgram(meshProgram)
+
+  gl.enableVertexAttribArray(meshProgram.vertexPositionAttribute)
+  gl.enableVertexAttribArray(meshProgram.vertexNormalAttribute)
+}
+
+/**
+ * Set up instanced rendering if the ANGLE_instanced_arrays extension is available,
+ * and make it the render mode. Without it, spheres are drawn one at a time.
+ */
+function setupInstancing () {
+  instancing = gl.getExtension('ANGLE_instanced_arrays')
+
+  if (instancing === null) {
+    console.log('ANGLE_instanced_arrays is not supported, drawing one sphere at a time')
+    document.getElementById('render-mode').querySelector('[value="instanced"]').disabled = true
+    setRenderMode('per-sphere')
+    return
+  }
+
+  // Each program that draws single spheres has an instanced counterpart for drawing many at once
+  instancedProgram = createInstancedProgram(loadShaderFromDOM('vshader-instanced'), fragmentShader)
+  meshProgram.instanced = instancedProgram
+  depthProgram.instanced = createInstancedProgram(loadShaderFromDOM('vshader-depth-instanced'), loadShaderFromDOM('fshader-depth'))
+
+  instanceBuffer = gl.createBuffer()
+  setRenderMode('instanced')
+}
+
+/**
+ * Create a program that draws spheres as instances, and look up its per-instance attributes.
+ * Attributes the program does not use are at location -1.
+ *
+ * @param {any} vertex Compiled instanced vertex shader
+ * @param {any} fragment Compiled fragment shader
+ * @returns The program
+ */
+function createInstancedProgram (vertex, fragment) {
+  let program = createShaderProgram(vertex, fragment)
+  program.instancePositionAttribute = gl.getAttribLocation(program, 'aInstancePosition')
+  program.instanceRadiusAttribute = gl.getAttribLocation(program, 'aInstanceRadius')
+  program.instanceAmbientAttribute = gl.getAttribLocation(program, 'aInstanceAmbient')
+  program.instanceDiffuseAttribute = gl.getAttribLocation(program, 'aInstanceDiffuse')
+  program.instanceSpecularAttribute = gl.getAttribLocation(program, 'aInstanceSpecular')
+  program.instanceShininessAttribute = gl.getAttribLocation(program, 'aInstanceShininess')
+  return program
+}
+
+/**
+ * Draw the given spheres with one instanced draw call per level of detail, from a buffer
+ * holding the position, radius and material of each sphere grouped by the level it is drawn at.
+ * Draws with the instanced counterpart of the current program.
+ *
+ * @param {any} spheres Array of objects with a position, radius and shading material
+ */
+function drawSphereInstances (spheres) {
+  if (spheres.length === 0) {
+    return
   }
 
-  gl.useProgram(shaderProgram)
+  let levels = sphereMeshes[sphereTessellation].map(() => [])
+  let scale = Math.hypot(mvMatrix[0], mvMatrix[1], mvMatrix[2])
+  let center = vec3.create()
+  spheres.forEach(sphere => {
+    vec3.transformMat4(center, sphere.position, mvMatrix)
+    levels[sphereLevelOfDetail(sphere.radius * scale, -center[2])].push(sphere)
+  })
+
+  // x, y, z, radius, then the ambient, diffuse and specular colors and the shininess
+  let stride = 14
+  let data = new Float32Array(spheres.length * stride)
+  let first = 0
+  levels.forEach(level => level.forEach(sphere => {
+    let offset = first * stride
+    data.set(sphere.position, offset)
+    data[offset + 3] = sphere.radius
+    data.set(sphere.material.ambient, offset + 4)
+    data.set(sphere.material.diffuse, offset + 7)
+    data.set(sphere.material.specular, offset + 10)
+    data[offset + 13] = sphere.material.shininess
+    first++
+  }))
+
+  let program = shaderProgram
+  useProgram(program.instanced)
+  setMatrixUniforms()
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer)
+  gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW)
+
+  let attributes = [
+    [shaderProgram.instancePositionAttribute, 3, 0],
+    [shaderProgram.instanceRadiusAttribute, 1, 3],
+    [shaderProgram.instanceAmbientAttribute, 3, 4],
+    [shaderProgram.instanceDiffuseAttribute, 3, 7],
+    [shaderProgram.instanceSpecularAttribute, 3, 10],
+    [shaderProgram.instanceShininessAttribute, 1, 13]
+  ].filter(([location]) => location !== -1)
+
+  attributes.forEach(([location]) => {
+    gl.enableVertexAttribArray(location)
+    instancing.vertexAttribDivisorANGLE(location, 1)
+  })
+
+  first = 0
+  levels.forEach((level, index) => {
+    if (level.length === 0) {
+      return
+    }
+
+    let mesh = sphereMeshes[sphereTessellation][index]
+    bindMesh(mesh)
+
+    // Start the instance attributes at the first sphere of this level
+    gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer)
+    attributes.forEach(([location, size, offset]) => {
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, (first * stride + offset) * 4)
+    })
+
+    instancing.drawElementsInstancedANGLE(gl.TRIANGLES, mesh.indexCount, gl.UNSIGNED_SHORT, 0, level.length)
+    trianglesDrawn += mesh.indexCount / 3 * level.length
+    first += level.length
+  })
+
+  // Attribute state is shared between programs, so put it back the way the mesh program expects
+  attributes.forEach(([location]) => {
+    instancing.vertexAttribDivisorANGLE(location, 0)
+    gl.disableVertexAttribArray(location)
+  })
 
-  shaderProgram.vertexPositionAttribute = gl.getAttribLocation(shaderProgram, 'aVertexPosition')
-  gl.enableVertexAttribArray(shaderProgram.vertexPositionAttribute)
+  useProgram(program)
+}
 
-  shaderProgram.vertexNormalAttribute = gl.getAttribLocation(shaderProgram, 'aVertexNormal')
-  gl.enableVertexAttribArray(shaderProgram.vertexNormalAttribute)
+/**
+ * Switch between drawing the spheres with one instanced draw call per level of detail and drawing each sphere separately
+ *
+ * @param {string} mode instanced or per-sphere
+ */
+function setRenderMode (mode) {
+  renderMode = mode === 'instanced' && instancing !== null ? 'instanced' : 'per-sphere'
+  document.getElementById('render-mode').value = renderMode
+  drawTime = 0
+}
 
-  shaderProgram.mvMatrixUniform = gl.getUniformLocation(shaderProgram, 'uMVMatrix')
-  shaderProgram.pMatrixUniform = gl.getUniformLocation(shaderProgram, 'uPMatrix')
-  shaderProgram.nMatrixUniform = gl.getUniformLocation(shaderProgram, 'uNMatrix')
+/**
+ * Switch the tessellation spheres are drawn with
+ *
+ * @param {string} tessellation icosphere or uv
+ */
+function setTessellation (tessellation) {
+  if (!(tessellation in sphereMeshes)) {
+    throw Error(`Unknown tessellation: ${tessellation}`)
+  }
 
-  shaderProgram.uniformLightPositionLoc = gl.getUniformLocation(shaderProgram, 'uLightPosition')
-  shaderProgram.uniformAmbientLightColorLoc = gl.getUniformLocation(shaderProgram, 'uAmbientLightColor')
-  shaderProgram.uniformDiffuseLightColorLoc = gl.getUniformLocation(shaderProgram, 'uDiffuseLightColor')
-  shaderProgram.uniformSpecularLightColorLoc = gl.getUniformLocation(shaderProgram, 'uSpecularLightColor')
+  sphereTessellation = tessellation
+}
 
-  shaderProgram.uniformAmbientMatColorLoc = gl.getUniformLocation(shaderProgram, 'uAmbientMatColor')
-  shaderProgram.uniformDiffuseMatColorLoc = gl.getUniformLocation(shaderProgram, 'uDiffuseMatColor')
-  shaderProgram.uniformSpecularMatColorLoc = gl.getUniformLocation(shaderProgram, 'uSpecularMatColor')
+/**
+ * Switch timing how long the scene takes to draw. While timing, each frame waits for
+ * the GPU to finish drawing, so the time covers the GPU work as well as the draw calls.
+ *
+ * @param {boolean} enabled True to time drawing
+ */
+function setMeasureDrawTime (enabled) {
+  measureDrawTime = enabled
+  drawTime = 0
+  document.getElementById('draw-time').textContent = ''
 }
 
 /**
- * Given information about the light, upload the light to the program to use in rendering
+ * Given the lights of the scene, upload every enabled light to the program to use in rendering,
+ * in eye coordinates. Only the first Light.MAX_LIGHTS enabled lights are used.
  *
- * @param {any} location vec3 location of the light
- * @param {any} ambient vec3 ambient light color
- * @param {any} diffuse vec3 diffuse light color
- * @param {any} specular vec3 specular light color
+ * @param {any} lights Array of lights
+ * @param {any} viewMatrix mat4 taking world coordinates to eye coordinates
  */
-function uploadLightsToShader (location, ambient, diffuse, specular) {
-  gl.uniform3fv(shaderProgram.uniformLightPositionLoc, location)
+function uploadLightsToShader (lights, viewMatrix) {
+  let enabled = lights.filter(light => light.enabled).slice(0, Light.MAX_LIGHTS)
+
+  // Uniform arrays are uploaded whole, so unused lights are left as zeros
+  let positions = new Float32Array(Light.MAX_LIGHTS * 4)
+  let ambient = new Float32Array(Light.MAX_LIGHTS * 3)
+  let diffuse = new Float32Array(Light.MAX_LIGHTS * 3)
+  let specular = new Float32Array(Light.MAX_LIGHTS * 3)
+
+  enabled.forEach((light, i) => {
+    positions.set(light.eyeVector(viewMatrix), i * 4)
+    ambient.set(light.ambient, i * 3)
+    diffuse.set(light.diffuse, i * 3)
+    specular.set(light.specular, i * 3)
+  })
+
+  gl.uniform1i(shaderProgram.uniformLightCountLoc, enabled.length)
+  gl.uniform4fv(shaderProgram.uniformLightPositionLoc, positions)
   gl.uniform3fv(shaderProgram.uniformAmbientLightColorLoc, ambient)
   gl.uniform3fv(shaderProgram.uniformDiffuseLightColorLoc, diffuse)
   gl.uniform3fv(shaderProgram.uniformSpecularLightColorLoc, specular)
 }
 
 /**
- * Upload the given information about lighting the current material
+ * Upload the given material for lighting what is drawn next
  *
- * @param {any} ambient vec3 ambient light reflectivity
- * @param {any} diffuse vec3 diffuse light reflectivity
- * @param {any} specular vec3 specular light reflectivity
+ * @param {any} material Shading material with ambient, diffuse and specular reflectivity and shininess
  */
-function uploadMaterialToShader (ambient, diffuse, specular) {
-  gl.uniform3fv(shaderProgram.uniformAmbientMatColorLoc, ambient)
-  gl.uniform3fv(shaderProgram.uniformDiffuseMatColorLoc, diffuse)
-  gl.uniform3fv(shaderProgram.uniformSpecularMatColorLoc, specular)
+function uploadMaterialToShader (material) {
+  gl.uniform3fv(shaderProgram.uniformAmbientMatColorLoc, material.ambient)
+  gl.uniform3fv(shaderProgram.uniformDiffuseMatColorLoc, material.diffuse)
+  gl.uniform3fv(shaderProgram.uniformSpecularMatColorLoc, material.specular)
+  gl.uniform1f(shaderProgram.uniformShininessLoc, material.shininess)
 }
 
 /**
- * Set up buffers to be used by the rendering program
+ * Upload the shadow map of the first light to the program, or switch shadow mapping off
+ *
+ * @param {any} shadowMatrix mat4 taking eye coordinates to coordinates in the shadow map, or null for no shadow map
  */
-function setupBuffers () {
-  setupSphereBuffers()
+function uploadShadowToShader (shadowMatrix) {
+  gl.uniform1i(shaderProgram.uniformShadowMapEnabledLoc, shadowMatrix !== null)
+  if (shadowMatrix === null) {
+    return
+  }
+
+  gl.activeTexture(gl.TEXTURE0)
+  gl.bindTexture(gl.TEXTURE_2D, shadowMap.texture)
+  gl.uniform1i(shaderProgram.uniformShadowMapLoc, 0)
+  gl.uniformMatrix4fv(shaderProgram.uniformShadowMatrixLoc, false, shadowMatrix)
+  gl.uniform1f(shaderProgram.uniformShadowMapSizeLoc, shadowMap.size)
 }
 
 /**
- * Draw the current scene as per the physics engine
+ * Create the shadow map and the blob shadow mesh. If the device cannot render to the shadow map,
+ * fall back to blob shadows.
  */
-function draw () {
-  gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight)
+function setupShadows () {
+  shadowMap = new ShadowMap(gl, Number(document.getElementById('shadow-map-size').value))
+
+  let blobPositions = []
+  let blobIndices = []
+  planeFromIteration(1, -1, 1, -1, 1, blobPositions, blobIndices)
+  blobMesh = createPlaneBuffers(blobPositions, blobIndices)
+
+  if (!shadowMap.complete) {
+    console.log('Rendering to a shadow map is not supported, drawing blob shadows')
+    document.getElementById('shadow-mode').querySelector('[value="map"]').disabled = true
+  }
+  setShadowMode(shadowMode)
+}
+
+/**
+ * Render the depth of the spheres seen from the first light into the shadow map, if shadow
+ * mapping is on and the light is. The floor and walls only receive shadows, so only the spheres
+ * are drawn.
+ *
+ * @returns mat4 taking eye coordinates to coordinates in the shadow map, or null if no map was drawn
+ */
+function drawShadowMap () {
+  let light = lights[0]
+  if (shadowMode !== 'map' || !light.enabled) {
+    return null
+  }
+
+  shadowMap.fitToBounds(light, physics.container.bounds)
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, shadowMap.framebuffer)
+  gl.viewport(0, 0, shadowMap.size, shadowMap.size)
+  gl.clearColor(1.0, 1.0, 1.0, 1.0)
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
 
-  var transformVec = vec3.create()
-  vec3.set(transformVec, 5.0, 5.0, 5.0)
+  // Store the depth of the far sides of the spheres, so their lit near sides never compare against themselves
+  gl.enable(gl.CULL_FACE)
+  gl.cullFace(gl.FRONT)
+
+  useProgram(depthProgram)
+  mat4.copy(pMatrix, shadowMap.projectionMatrix)
+  mat4.copy(mvMatrix, shadowMap.viewMatrix)
+  lodScreenHeight = shadowMap.size
+  drawNode(sphereGroup)
 
-  var Ia = vec3.fromValues(1.0, 1.0, 1.0)
-  var Id = vec3.fromValues(1.0, 1.0, 1.0)
-  var Is = vec3.fromValues(1.0, 1.0, 1.0)
+  gl.disable(gl.CULL_FACE)
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+  gl.clearColor(0.0, 0.0, 0.0, 1.0)
+  useProgram(meshProgram)
 
-  mat4.perspective(pMatrix, degToRad(45), gl.viewportWidth / gl.viewportHeight, 0.1, 200.0)
+  return shadowMap.shadowMatrix(camera.viewMatrix)
+}
 
-  physics.sphereList.forEach(sphere => {
-    vec3.add(viewPt, eyePt, viewDir)
-    mat4.lookAt(mvMatrix, eyePt, viewPt, up)
+/**
+ * Draw a soft dark spot on the floor of the container under each of the given spheres,
+ * larger and fainter the higher the sphere is above the floor
+ *
+ * @param {any} spheres Array of objects with a position and radius
+ */
+function drawBlobShadows (spheres) {
+  let floor = physics.container.bounds.min[1]
 
-    var lightPosEye4 = vec4.fromValues(-10.0, 30.0, -10.0, 1.0)
-    lightPosEye4 = vec4.transformMat4(lightPosEye4, lightPosEye4, mvMatrix)
-    var lightPosEye = vec3.fromValues(lightPosEye4[0], lightPosEye4[1], lightPosEye4[2])
+  useProgram(blobProgram)
+  bindMesh(blobMesh)
 
-    ka = sphere.color
-    kd = sphere.color
-    ks = sphere.color
+  // Keep the canvas opaque, so the page behind it does not show through the shadows
+  gl.enable(gl.BLEND)
+  gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ZERO, gl.ONE)
 
-    mat4.scale(mvMatrix, mvMatrix, vec3.fromValues(sphere.radius, sphere.radius, sphere.radius))
+  // The blobs lie on the floor, so pull them towards the camera to keep them from flickering into it
+  gl.depthMask(false)
+  gl.enable(gl.POLYGON_OFFSET_FILL)
+  gl.polygonOffset(-1, -1)
 
-    mat4.translate(mvMatrix, mvMatrix, sphere.position)
+  spheres.forEach(sphere => {
+    let height = Math.max(sphere.position[1] - sphere.radius - floor, 0)
+    let size = sphere.radius * (1 + 0.05 * height)
 
-    uploadLightsToShader(lightPosEye, Ia, Id, Is)
-    uploadMaterialToShader(ka, kd, ks)
+    mvPushMatrix()
+    mat4.translate(mvMatrix, mvMatrix, vec3.fromValues(sphere.position[0], floor, sphere.position[2]))
+    mat4.rotateX(mvMatrix, mvMatrix, -Math.PI / 2)
+    mat4.scale(mvMatrix, mvMatrix, vec3.fromValues(size, size, 1))
     setMatrixUniforms()
-    drawSphere()
+    gl.uniform1f(blobProgram.uniformOpacityLoc, 0.6 / (1 + 0.1 * height))
+    gl.drawElements(gl.TRIANGLES, blobMesh.indexCount, gl.UNSIGNED_SHORT, 0)
+    mvPopMatrix()
   })
+
+  gl.disable(gl.POLYGON_OFFSET_FILL)
+  gl.depthMask(true)
+  gl.disable(gl.BLEND)
+  useProgram(meshProgram)
 }
 
 /**
- * Reset the entire simulation by clearing all spheres from the physics engine
+ * Choose how the first light casts shadows. Shadow maps fall back to blob shadows on devices
+ * that cannot render to them.
+ *
+ * @param {string} mode map, blob or off
  */
-function reset () {
-  physics.resetSpheres()
+function setShadowMode (mode) {
+  shadowMode = mode === 'map' && !shadowMap.complete ? 'blob' : mode
+  document.getElementById('shadow-mode').value = shadowMode
+  blobGroup.visible = shadowMode === 'blob'
 }
 
 /**
- * Handle user pressing keys on their keyboard
- * @param {*} event 
+ * Set the width and height of the shadow map in texels. Larger maps give sharper shadows
+ * at the cost of memory and fill rate.
+ *
+ * @param {any} size Width and height in texels
  */
-function handleKeyDown (event) {
-  currentlyPressedKeys[event.keyCode] = true
+function setShadowMapSize (size) {
+  shadowMap.size = Number(size)
+  document.getElementById('shadow-map-size').value = shadowMap.size
+
+  if (!shadowMap.complete) {
+    console.log(`Cannot render to a ${shadowMap.size} shadow map, drawing blob shadows`)
+  }
+  setShadowMode(shadowMode)
 }
 
 /**
- * Handle a keyup event.
- * @param {*} event 
+ * Switch one of the lights of the scene on or off
+ *
+ * @param {number} index Index of the light in lights
+ * @param {boolean} enabled True to switch the light on
  */
-function handleKeyUp (event) {
-  if (event.keyCode === 32) {
-    physics.addSphere()
-  }
-  // currentlyPressedKeys[event.keyCode] = false
+function setLightEnabled (index, enabled) {
+  lights[index].enabled = enabled
+}
+
+/**
+ * Build the scene graph: a root node with a group holding a node for each face of the container,
+ * a group holding a node for each sphere, and a group drawing blob shadows. The blob shadows blend
+ * into what is behind them, so they come last.
+ */
+function setupScene () {
+  scene = new SceneNode()
+  containerGroup = scene.addChild(new SceneNode())
+  sphereGroup = scene.addChild(new SceneNode())
+  blobGroup = scene.addChild(new SceneNode())
+}
+
+/**
+ * Draw the sphere mesh for a scene node, in its material, at the level of detail for its size on screen
+ *
+ * @param {any} node Scene node to draw
+ */
+function drawSphereNode (node) {
+  uploadMaterialToShader(node.material)
+  setMatrixUniforms()
+
+  // mvMatrix takes the unit sphere to eye coordinates, so its translation is the center and its scale the radius
+  let radius = Math.hypot(mvMatrix[0], mvMatrix[1], mvMatrix[2])
+  drawSphere(sphereLevelOfDetail(radius, -mvMatrix[14]))
 }
 
 /**
- * Manage keys pressed
+ * Draw a scene node and everything below it, setting mvMatrix to the current view composed with
+ * the world matrix of each node before drawing it, and restoring mvMatrix once they are drawn
+ *
+ * @param {any} node Scene node to draw
  */
-function handleKeys () {
-  // let space = currentlyPressedKeys[32]
+function drawNode (node) {
+  mvPushMatrix()
+  let viewMatrix = mat4.clone(mvMatrix)
+  let parentMatrix = node.parent === null ? mat4.create() : node.parent.worldMatrix
+
+  node.traverse((visited, matrix) => {
+    if (visited.drawable !== null) {
+      mat4.multiply(mvMatrix, viewMatrix, matrix)
+      visited.drawable(visited)
+    }
+  }, parentMatrix)
 
-  // if (space) {
-  //   physics.addSphere()
-  // }
+  mvPopMatrix()
 }
 
 /**
- * Animate the geometry by prompting the physics engine to tick along all of the spheres
+ * Give the sphere group one node per visible sphere, placed, sized and shaded to match it.
+ * In instanced mode, the group instead draws all of the spheres itself in one call.
  */
-function animate() {
-  if (then === 0) {
-    then = Date.now()
+function updateSphereNodes () {
+  let spheres = visibleSpheres()
+  let nodeSpheres = spheres
+
+  if (renderMode === 'instanced') {
+    sphereGroup.drawable = () => drawSphereInstances(spheres)
+    nodeSpheres = []
   } else {
-    now = Date.now()
+    sphereGroup.drawable = null
+  }
+  blobGroup.drawable = () => drawBlobShadows(spheres)
+
+  // Reuse the nodes from the last frame rather than rebuilding them
+  while (sphereGroup.children.length < nodeSpheres.length) {
+    sphereGroup.addChild(new SceneNode(drawSphereNode))
+  }
+  while (sphereGroup.children.length > nodeSpheres.length) {
+    sphereGroup.removeChild(sphereGroup.children[sphereGroup.children.length - 1])
+  }
 
-    // Convert to seconds
-    now *= 0.001
+  nodeSpheres.forEach((sphere, i) => {
+    let node = sphereGroup.children[i]
+    vec3.copy(node.translation, sphere.position)
+    node.setUniformScale(sphere.radius)
+    node.material = sphere.material
+  })
+}
 
-    // Animate the rotation using the difference between current time and previous time
-    handleKeys()
-    physics.tick(now - then)
+/**
+ * Given a container, return the names of the faces of the box around it to draw: the faces a box
+ * actually has, only the floor of a plane, and every face of the bounds of any other shape
+ *
+ * @param {any} container Container to draw
+ * @returns Array of face names
+ */
+function containerFaces (container) {
+  let names = CONTAINER_FACES.map(([name]) => name)
 
-    // Remember the current time for the next frame.
-    then = now
+  if (container instanceof PlaneContainer) {
+    return ['floor']
+  }
+  if (container instanceof BoxContainer) {
+    return names.filter(name => container.hasFace(name))
   }
+  return names
 }
 
 /**
- * Runs the boilerplate startup code to get the webapp to work
+ * Give the container group one node per face of the box around the active container,
+ * rebuilding them only when the container changes. Each node takes the unit plane, facing +z,
+ * to its face, facing into the box.
  */
-function startup () {
-  canvas = document.getElementById('canvas')
-  gl = createGLContext(canvas)
+function updateContainerNodes () {
+  let container = physics.container
+  if (container === shownContainer) {
+    return
+  }
+  shownContainer = container
+
+  containerGroup.children.slice().forEach(child => containerGroup.removeChild(child))
+
+  let bounds = container.bounds
+  let center = vec3.lerp(vec3.create(), bounds.min, bounds.max, 0.5)
+  let halfExtent = vec3.subtract(vec3.create(), bounds.max, center)
+  let faces = containerFaces(container)
+
+  CONTAINER_FACES
+    .filter(([name]) => faces.includes(name))
+    .forEach(([name, normal, up]) => {
+      let floor = name === 'floor'
+      let node = containerGroup.addChild(new SceneNode(floor ? drawFloorNode : drawWallNode))
+      node.material = floor ? FLOOR_MATERIAL : WALL_MATERIAL
+
+      // The plane's x axis, y axis and normal go to the face's right, up and inward directions
+      let right = vec3.cross(vec3.create(), up, normal)
+      let axes = mat3.create()
+      axes.set(right, 0)
+      axes.set(up, 3)
+      axes.set(normal, 6)
+      quat.normalize(node.rotation, quat.fromMat3(node.rotation, axes))
+
+      let extent = direction => Math.abs(vec3.dot(direction, halfExtent))
+      vec3.set(node.scale, extent(right), extent(up), 1)
+      vec3.scaleAndAdd(node.translation, center, normal, -extent(normal))
+    })
+}
 
-  physics = new PhysicsEngine()
+/**
+ * Show or hide the floor and walls of the container
+ *
+ * @param {boolean} visible True to draw the container
+ */
+function setShowContainer (visible) {
+  containerGroup.visible = visible
+}
+
+/**
+ * Set up buffers to be used by the rendering program
+ */
+function setupBuffers () {
+  setupSphereBuffers()
+  setupContainerBuffers()
+}
+
+/**
+ * Returns the position, radius and shading material of every sphere to draw: the recorded frame
+ * while replaying, otherwise the live spheres interpolated between the last two epochs.
+ * Recordings only keep the color of each sphere, so replayed spheres get default highlights.
+ *
+ * @returns Array of objects with a position, radius and shading material
+ */
+function visibleSpheres () {
+  if (playback !== null) {
+    return playback.spheres.map(sphere => ({
+      position: sphere.position,
+      radius: sphere.radius,
+      material: ShadingMaterial.fromColor(sphere.color)
+    }))
+  }
+
+  let alpha = physics.interpolationAlpha
+  return physics.sphereList.map(sphere => {
+    let material = tintSleeping && sphere.sleeping ? SLEEPING_TINT : sphere.shading
+    return {
+      position: sphere.interpolatedPosition(alpha),
+      radius: sphere.radius,
+      material: sphere.id === selectedId ? glowingMaterial(material) : material
+    }
+  })
+}
+
+/**
+ * Given a shading material, return a copy of it that glows with SELECTED_GLOW
+ *
+ * @param {any} material ShadingMaterial to highlight
+ * @returns New ShadingMaterial
+ */
+function glowingMaterial (material) {
+  let ambient = vec3.add(vec3.create(), material.ambient, SELECTED_GLOW)
+  return new ShadingMaterial(ambient, material.diffuse, material.specular, material.shininess)
+}
+
+/**
+ * Draw the current scene as per the physics engine
+ */
+function draw () {
+  updateContainerNodes()
+  updateSphereNodes()
+
+  let start = performance.now()
+  trianglesDrawn = 0
+
+  let shadowMatrix = drawShadowMap()
+
+  gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight)
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT)
+
+  camera.updateProjection(gl.viewportWidth / gl.viewportHeight)
+  mat4.copy(pMatrix, camera.projectionMatrix)
+  lodScreenHeight = gl.viewportHeight
+
+  // The lights are fixed in the world, so they move into eye coordinates with the view
+  let programs = instancedProgram === null ? [meshProgram] : [meshProgram, instancedProgram]
+  programs.forEach(program => {
+    useProgram(program)
+    uploadLightsToShader(lights, camera.viewMatrix)
+    uploadShadowToShader(shadowMatrix)
+  })
+  useProgram(meshProgram)
+
+  mat4.copy(mvMatrix, camera.viewMatrix)
+  drawNode(scene)
+  document.getElementById('triangle-count').textContent = `${trianglesDrawn} triangles`
+
+  if (measureDrawTime) {
+    gl.finish()
+
+    // Smooth over frames so the readout is steady enough to read
+    let elapsed = performance.now() - start
+    drawTime = drawTime === 0 ? elapsed : drawTime * 0.95 + elapsed * 0.05
+    document.getElementById('draw-time').textContent = `${drawTime.toFixed(2)} ms per frame`
+  }
+}
+
+/**
+ * Reset the entire simulation by clearing all spheres from the physics engine
+ * and restarting the random number generator from its seed
+ */
+function reset () {
+  physics.resetSpheres()
+  physics.seed = physics.seed
+  selectSphere(null)
+}
+
+/**
+ * Restart the simulation from the given seed
+ *
+ * @param {any} seed Seed for the random number generator
+ */
+function setSeed (seed) {
+  physics.seed = Number(seed)
+  reset()
+  showSeed()
+}
+
+/**
+ * Save JSON text to a file the user downloads
+ *
+ * @param {string} text JSON text to save
+ * @param {string} filename Name to suggest for the file
+ */
+function downloadJSON (text, filename) {
+  let blob = new Blob([text], { type: 'application/json' })
+  let link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME * 1000)
+}
+
+/**
+ * Save the full state of the simulation to a JSON file the user can share
+ */
+function downloadSnapshot () {
+  downloadJSON(JSON.stringify(physics, null, 2), `spheres-${physics.seed}.json`)
+}
+
+/**
+ * Replace the state of the simulation with a snapshot file chosen by the user
+ *
+ * @param {any} file File object holding a snapshot saved by downloadSnapshot
+ */
+function uploadSnapshot (file) {
+  if (!file) {
+    return
+  }
+
+  let reader = new FileReader()
+  reader.onload = () => {
+    // A replay would go on showing its own frames over the restored simulation
+    if (playback !== null) {
+      playback = null
+      updateReplayControls()
+    }
+
+    try {
+      physics.restore(reader.result)
+    } catch (e) {
+      window.alert(`Failed to load snapshot: ${e.message}`)
+      return
+    }
+
+    frameContainer()
+    selectSphere(null)
+    showSeed()
+    document.getElementById('integrator').value = physics.integrator.name
+    document.getElementById('continuous').checked = physics.continuousCollisions
+    document.getElementById('sleep').checked = physics.sleepEnabled
+    document.getElementById('max-spheres').value = physics.maxSpheres === Infinity ? '' : physics.maxSpheres
+    document.getElementById('population-policy').value = physics.populationPolicy
+    showForceControls()
+  }
+  reader.readAsText(file)
+}
+
+/**
+ * Start replaying the engine's recording, paused at the newest frame, or go back to the live simulation
+ */
+function toggleReplay () {
+  if (playback === null) {
+    startReplay(physics.recorder)
+    playback.seek(playback.recorder.length - 1)
+  } else {
+    playback = null
+  }
+
+  updateReplayControls()
+}
+
+/**
+ * Pause the simulation and replay the given recording from its first frame
+ *
+ * @param {any} recorder Recorder holding the frames to replay
+ */
+function startReplay (recorder) {
+  playback = new Playback(recorder)
+  playback.speed = Number(document.getElementById('replay-speed').value)
+}
+
+/**
+ * Play or pause the replay
+ */
+function togglePlaying () {
+  if (playback.index === playback.recorder.length - 1) {
+    playback.seek(0)
+  }
+
+  playback.playing = !playback.playing
+  updateReplayControls()
+}
+
+/**
+ * Set how fast the replay runs relative to real time
+ *
+ * @param {any} speed Playback speed multiplier
+ */
+function setReplaySpeed (speed) {
+  if (playback !== null) {
+    playback.speed = Number(speed)
+  }
+}
+
+/**
+ * Jump the replay to the frame picked with the scrub slider
+ *
+ * @param {any} index Index of the frame
+ */
+function scrubReplay (index) {
+  playback.seek(Number(index))
+  updateReplayControls()
+}
+
+/**
+ * Sync the replay buttons, slider and time readout with the state of the replay
+ */
+function updateReplayControls () {
+  let replaying = playback !== null
+
+  document.getElementById('replay-toggle').textContent = replaying ? 'Back to live' : 'Replay'
+  document.getElementById('replay-play').disabled = !replaying
+  document.getElementById('replay-scrub').disabled = !replaying
+
+  if (replaying) {
+    let scrub = document.getElementById('replay-scrub')
+    scrub.max = Math.max(playback.recorder.length - 1, 0)
+    scrub.value = playback.index
+
+    document.getElementById('replay-play').textContent = playback.playing ? 'Pause' : 'Play'
+    document.getElementById('replay-time').textContent = `${playback.time.toFixed(2)} s`
+  } else {
+    document.getElementById('replay-time').textContent = ''
+  }
+}
+
+/**
+ * Plot the energy history of the simulation on the stats canvas, with kinetic energy in red,
+ * potential energy in blue and their total in white, and show the latest stats next to it
+ */
+function drawStats () {
+  let statsCanvas = document.getElementById('stats')
+  let context = statsCanvas.getContext('2d')
+  let history = physics.diagnostics === null ? [] : physics.diagnostics.history
+
+  context.fillStyle = 'black'
+  context.fillRect(0, 0, statsCanvas.width, statsCanvas.height)
+
+  if (history.length > 1) {
+    let low = Infinity
+    let high = -Infinity
+    history.forEach(stats => {
+      low = Math.min(low, stats.kineticEnergy, stats.potentialEnergy, stats.totalEnergy)
+      high = Math.max(high, stats.kineticEnergy, stats.potentialEnergy, stats.totalEnergy)
+    })
+
+    // Keep a flat history from collapsing the vertical scale
+    let range = Math.max(high - low, 1e-6)
+    let x = i => i * statsCanvas.width / (physics.diagnostics.capacity - 1)
+    let y = energy => statsCanvas.height - (energy - low) / range * statsCanvas.height
+
+    let lines = [
+      ['red', stats => stats.kineticEnergy],
+      ['dodgerblue', stats => stats.potentialEnergy],
+      ['white', stats => stats.totalEnergy]
+    ]
+
+    lines.forEach(([color, energyOf]) => {
+      context.strokeStyle = color
+      context.beginPath()
+      history.forEach((stats, i) => {
+        if (i === 0) {
+          context.moveTo(x(i), y(energyOf(stats)))
+        } else {
+          context.lineTo(x(i), y(energyOf(stats)))
+        }
+      })
+      context.stroke()
+    })
+  }
+
+  let stats = physics.stats
+  document.getElementById('stats-text').textContent =
+    `Kinetic: ${stats.kineticEnergy.toFixed(1)}, ` +
+    `potential: ${stats.potentialEnergy.toFixed(1)}, ` +
+    `total: ${stats.totalEnergy.toFixed(1)}, ` +
+    `momentum: ${vec3.length(stats.momentum).toFixed(1)}, ` +
+    `wall hits: ${stats.wallCollisions}, sphere hits: ${stats.sphereCollisions}`
+}
+
+/**
+ * Save the frames recorded so far to a JSON file that can be replayed elsewhere
+ */
+function downloadRecording () {
+  let recorder = playback !== null ? playback.recorder : physics.recorder
+  downloadJSON(JSON.stringify(recorder), `recording-${physics.seed}.json`)
+}
+
+/**
+ * Replay a recording file chosen by the user
+ *
+ * @param {any} file File object holding a recording saved by downloadRecording
+ */
+function uploadRecording (file) {
+  if (!file) {
+    return
+  }
+
+  let reader = new FileReader()
+  reader.onload = () => {
+    try {
+      startReplay(Recorder.fromJSON(reader.result))
+    } catch (e) {
+      window.alert(`Failed to load recording: ${e.message}`)
+      return
+    }
+
+    updateReplayControls()
+  }
+  reader.readAsText(file)
+}
+
+/**
+ * Show the seed of the random number generator in the page
+ */
+function showSeed () {
+  document.getElementById('seed').value = physics.seed
+}
+
+/**
+ * Point the camera at the center of the active container, from far enough away to see all of it
+ */
+function frameContainer () {
+  camera.frame(physics.container.bounds)
+}
+
+/**
+ * Switch the container the physics engine keeps the spheres inside
+ *
+ * @param {string} name Name of the container to switch to
+ */
+function setContainer (name) {
+  let containers = {
+    'box': () => new BoxContainer(),
+    'open-box': () => new OpenBoxContainer(),
+    'bowl': () => new BowlContainer(),
+    'cylinder': () => new CylinderContainer(),
+    'plane': () => new PlaneContainer()
+  }
+
+  physics.container = containers[name]()
+  frameContainer()
+}
+
+/**
+ * Set the strength of gravity, pulling straight down
+ *
+ * @param {number} strength Acceleration from gravity in units per second squared
+ */
+function setGravity (strength) {
+  physics.forces
+    .filter(force => force instanceof UniformGravity)
+    .forEach(force => { force.acceleration = vec3.fromValues(0, -strength, 0) })
+
+  // Spheres asleep under the old gravity may no longer be at rest
+  physics.wakeAll()
+}
+
+/**
+ * Switch the damping that slows every sphere on or off
+ *
+ * @param {boolean} enabled True to damp the spheres
+ */
+function setDamping (enabled) {
+  physics.forces
+    .filter(force => force instanceof Damping)
+    .forEach(force => { force.enabled = enabled })
+  physics.wakeAll()
+}
+
+/**
+ * Replace the extra force field acting on the spheres
+ *
+ * @param {string} name Name of the force field to add, or none
+ */
+function setExtraForce (name) {
+  let fields = {
+    'none': () => null,
+    'linear-drag': () => new LinearDrag(),
+    'quadratic-drag': () => new QuadraticDrag(),
+    'wind': () => new Wind(),
+    'attractor': () => new PointAttractor(),
+    'repulsor': () => new PointAttractor(vec3.create(), -100),
+    'vortex': () => new Vortex()
+  }
+
+  if (extraForce !== null) {
+    physics.removeForce(extraForce)
+  }
+
+  extraForce = fields[name]()
+
+  if (extraForce !== null) {
+    physics.addForce(extraForce)
+  }
+}
+
+/**
+ * Show the container and force fields of the physics engine in their controls, such as after
+ * loading a snapshot, and take the first field other than gravity and damping as the extra force
+ */
+function showForceControls () {
+  let containerNames = {
+    BoxContainer: 'box',
+    OpenBoxContainer: 'open-box',
+    BowlContainer: 'bowl',
+    CylinderContainer: 'cylinder',
+    PlaneContainer: 'plane'
+  }
+  document.getElementById('container').value = containerNames[physics.container.toJSON().type]
+
+  let gravity = physics.forces.find(force => force instanceof UniformGravity)
+  if (gravity !== undefined) {
+    document.getElementById('gravity').value = -gravity.acceleration[1]
+  }
+
+  let damping = physics.forces.find(force => force instanceof Damping)
+  document.getElementById('damping').checked = damping !== undefined && damping.enabled
+
+  let fieldNames = {
+    LinearDrag: () => 'linear-drag',
+    QuadraticDrag: () => 'quadratic-drag',
+    Wind: () => 'wind',
+    PointAttractor: field => field.strength < 0 ? 'repulsor' : 'attractor',
+    Vortex: () => 'vortex'
+  }
+  let extra = physics.forces.find(force => !(force instanceof UniformGravity) && !(force instanceof Damping))
+  extraForce = extra === undefined ? null : extra
+  document.getElementById('extra-force').value = extraForce === null ? 'none' : fieldNames[extraForce.toJSON().type](extraForce)
+}
+
+/**
+ * Switch the material new spheres are made out of
+ *
+ * @param {string} name Name of the material preset
+ */
+function setMaterial (name) {
+  materialName = name
+}
+
+/**
+ * Switch the integrator the physics engine advances the spheres with
+ *
+ * @param {string} name Name of the integrator to switch to
+ */
+function setIntegrator (name) {
+  physics.integrator = createIntegrator(name)
+}
+
+/**
+ * Let spheres that stay still fall asleep, or keep every sphere awake
+ *
+ * @param {boolean} enabled True to let spheres sleep
+ */
+function setSleepEnabled (enabled) {
+  physics.sleepEnabled = enabled
+}
+
+/**
+ * Switch the debug tint that draws sleeping spheres in SLEEPING_TINT
+ *
+ * @param {boolean} enabled True to tint sleeping spheres
+ */
+function setTintSleeping (enabled) {
+  tintSleeping = enabled
+}
+
+/**
+ * Switch between sweeping the path of each sphere for collisions and only checking where it ends up
+ *
+ * @param {boolean} enabled True to sweep
+ */
+function setContinuousCollisions (enabled) {
+  physics.continuousCollisions = enabled
+}
+
+/**
+ * Cap the number of spheres in the simulation
+ *
+ * @param {any} value Maximum number of spheres, or 0 or empty for no limit
+ */
+function setMaxSpheres (value) {
+  physics.maxSpheres = Number(value) > 0 ? Number(value) : Infinity
+}
+
+/**
+ * Choose what happens when a sphere is added with the simulation at its maximum population
+ *
+ * @param {string} policy reject or evict-oldest
+ */
+function setPopulationPolicy (policy) {
+  physics.populationPolicy = policy
+}
+
+/**
+ * Set how long spheres added from now on last before despawning
+ *
+ * @param {any} value Lifetime in seconds, or 0 or empty for spheres that never despawn
+ */
+function setLifetime (value) {
+  sphereLifetime = Number(value) > 0 ? Number(value) : Infinity
+}
+
+/**
+ * Returns true if the event comes from typing into one of the controls on the page,
+ * rather than a key meant for the simulation
+ *
+ * @param {any} event Keyboard event
+ * @returns True if the event targets a form control
+ */
+function isTyping (event) {
+  return event.target !== undefined && ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)
+}
+
+/**
+ * Handle user pressing keys on their keyboard
+ * @param {*} event 
+ */
+function handleKeyDown (event) {
+  if (isTyping(event)) {
+    return
+  }
+  currentlyPressedKeys[event.keyCode] = true
+
+  // Keep the arrow keys from scrolling the page while they turn the camera
+  let cameraKey = Object.keys(CAMERA_KEYS).some(control => CAMERA_KEYS[control].includes(event.keyCode))
+  if (cameraKey) {
+    event.preventDefault()
+  }
+
+  if (CAMERA_KEYS.reset.includes(event.keyCode)) {
+    resetView()
+  } else if (CAMERA_KEYS.follow.includes(event.keyCode)) {
+    toggleFollowNewest()
+  }
+}
+
+/**
+ * Handle a keyup event.
+ * @param {*} event 
+ */
+function handleKeyUp (event) {
+  currentlyPressedKeys[event.keyCode] = false
+  if (isTyping(event)) {
+    return
+  }
+
+  if (event.keyCode === 32) {
+    let sphere = physics.createSphere(Material.preset(materialName))
+    sphere.lifetime = sphereLifetime
+    physics.addSphere(sphere)
+  }
+}
+
+/**
+ * Given the time since the last frame, move the camera by the keys held down:
+ * the arrow keys orbit, WASD move across the ground and + and - zoom
+ *
+ * @param {number} frameTime Time elapsed since the last frame in seconds
+ */
+function handleKeys (frameTime) {
+  let held = control => CAMERA_KEYS[control].some(code => currentlyPressedKeys[code])
+
+  let turn = KEY_ORBIT_SPEED * frameTime
+  camera.orbit((held('orbitRight') - held('orbitLeft')) * turn, (held('orbitUp') - held('orbitDown')) * turn)
+
+  let step = KEY_MOVE_SPEED * camera.distance * frameTime
+  let forward = held('forward') - held('back')
+  let right = held('right') - held('left')
+  if (forward !== 0 || right !== 0) {
+    camera.move(forward * step, right * step)
+  }
+
+  let zoom = held('zoomOut') - held('zoomIn')
+  if (zoom !== 0) {
+    camera.zoom(Math.exp(zoom * KEY_ZOOM_SPEED * frameTime))
+  }
+}
+
+/**
+ * Start dragging with the mouse: the left button picks up the sphere under the mouse, or orbits
+ * the camera if there is none, and the right button, or the left with shift, pans
+ *
+ * @param {any} event Mouse event
+ */
+function handleMouseDown (event) {
+  mouseDownX = event.clientX
+  mouseDownY = event.clientY
+  lastMouseX = event.clientX
+  lastMouseY = event.clientY
+  event.preventDefault()
+
+  // Replayed spheres are only pictures of the recording, so they cannot be picked up
+  if (event.button === 0 && !event.shiftKey && playback === null) {
+    let ray = rayAt(event)
+    let hit = physics.raycast(ray.origin, ray.direction, physics.interpolationAlpha)
+    if (hit !== null) {
+      selectSphere(hit.sphere.id)
+      grabSphere(hit.sphere, vec3.scaleAndAdd(vec3.create(), ray.origin, ray.direction, hit.distance))
+      dragButton = 'sphere'
+      return
+    }
+  }
+
+  dragButton = event.button === 2 || event.shiftKey ? 'pan' : 'orbit'
+}
+
+/**
+ * Drag the held sphere, or orbit or pan the camera, by how far the mouse moved
+ *
+ * @param {any} event Mouse event
+ */
+function handleMouseMove (event) {
+  if (dragButton === null) {
+    return
+  }
+
+  let dx = event.clientX - lastMouseX
+  let dy = event.clientY - lastMouseY
+  lastMouseX = event.clientX
+  lastMouseY = event.clientY
+
+  if (dragButton === 'sphere') {
+    if (grab !== null) {
+      dragSphere(rayAt(event))
+    }
+  } else if (dragButton === 'orbit') {
+    camera.orbit(-dx * MOUSE_ORBIT_SPEED, dy * MOUSE_ORBIT_SPEED)
+  } else {
+    // Move the scene with the mouse, so the point under it stays under it
+    let units = camera.unitsPerPixel(canvas.clientHeight || gl.viewportHeight)
+    camera.pan(-dx * units, dy * units)
+  }
+}
+
+/**
+ * Stop dragging: throw any held sphere, and clear the selection if the mouse only clicked empty space
+ *
+ * @param {any} event Mouse event
+ */
+function handleMouseUp (event) {
+  if (dragButton === 'sphere') {
+    throwSphere()
+  } else if (dragButton === 'orbit' && Math.hypot(event.clientX - mouseDownX, event.clientY - mouseDownY) <= CLICK_DISTANCE) {
+    selectSphere(null)
+  }
+
+  dragButton = null
+}
+
+/**
+ * Given a mouse event, return the ray from the camera through the point under the mouse
+ *
+ * @param {any} event Mouse event
+ * @returns Object with the vec3 origin and unit direction of the ray in world coordinates
+ */
+function rayAt (event) {
+  let rect = canvas.getBoundingClientRect()
+  let x = (event.clientX - rect.left) / rect.width * 2 - 1
+  let y = 1 - (event.clientY - rect.top) / rect.height * 2
+  return camera.rayThrough(x, y)
+}
+
+/**
+ * Take hold of a sphere to drag it across the plane through the picked point facing the camera
+ *
+ * @param {any} sphere Sphere to hold
+ * @param {any} point vec3 point on the surface of the sphere where it was picked
+ */
+function grabSphere (sphere, point) {
+  let center = sphere.interpolatedPosition(physics.interpolationAlpha)
+  grab = {
+    sphere,
+    // The sphere keeps the same point under the mouse as it is dragged
+    offset: vec3.subtract(vec3.create(), center, point),
+    point,
+    normal: camera.forward,
+    samples: []
+  }
+
+  sphere.hold()
+  moveHeldSphere(center)
+}
+
+/**
+ * Given the ray under the mouse, move the held sphere to where the ray crosses its drag plane
+ *
+ * @param {any} ray Object with the vec3 origin and unit direction of the ray
+ */
+function dragSphere (ray) {
+  // A ray along the plane, or pointing away from it, never crosses it
+  let facing = vec3.dot(ray.direction, grab.normal)
+  if (Math.abs(facing) < 1e-6) {
+    return
+  }
+  let distance = vec3.dot(vec3.subtract(vec3.create(), grab.point, ray.origin), grab.normal) / facing
+  if (distance < 0) {
+    return
+  }
+
+  let point = vec3.scaleAndAdd(vec3.create(), ray.origin, ray.direction, distance)
+  moveHeldSphere(vec3.add(point, point, grab.offset))
+}
+
+/**
+ * Put the held sphere at the given position, inside the container, and remember when it was there
+ *
+ * @param {any} position vec3 position to move the sphere to
+ */
+function moveHeldSphere (position) {
+  let sphere = grab.sphere
+  sphere.position = vec3.clone(position)
+
+  // The engine leaves a held sphere alone, so push it back inside the container here
+  sphere.handleCollisions(0, physics.container)
+  sphere.previousPosition = vec3.clone(sphere.position)
+
+  let time = Date.now() * 0.001
+  grab.samples = grab.samples.filter(sample => time - sample.time <= THROW_SAMPLE_TIME)
+  grab.samples.push({ time, position: vec3.clone(sphere.position) })
+  sphere.velocity = dragVelocity(time)
+}
+
+/**
+ * Given the current time, return the velocity the held sphere was dragged at over the last
+ * THROW_SAMPLE_TIME seconds, which slows to zero once the mouse stops, up to MAX_THROW_SPEED
+ *
+ * @param {number} time Current time in seconds
+ * @returns vec3 velocity
+ */
+function dragVelocity (time) {
+  let recent = grab.samples.filter(sample => time - sample.time <= THROW_SAMPLE_TIME)
+  if (recent.length < 2) {
+    return vec3.create()
+  }
+
+  let first = recent[0]
+  let last = recent[recent.length - 1]
+  let elapsed = time - first.time
+  if (elapsed <= 0) {
+    return vec3.create()
+  }
+
+  let displacement = vec3.subtract(vec3.create(), last.position, first.position)
+  let speed = vec3.length(displacement) / elapsed
+  let scale = speed > MAX_THROW_SPEED ? MAX_THROW_SPEED / speed : 1
+  return vec3.scale(displacement, displacement, scale / elapsed)
+}
+
+/**
+ * Let go of the held sphere, throwing it with the velocity it was dragged at
+ */
+function throwSphere () {
+  if (grab === null) {
+    return
+  }
+
+  grab.sphere.release(dragVelocity(Date.now() * 0.001))
+  grab = null
+}
+
+/**
+ * Show a sphere in the inspector and highlight it, or clear the selection
+ *
+ * @param {any} id Id of the sphere to select, or null to select none
+ */
+function selectSphere (id) {
+  selectedId = id
+  updateInspector()
+}
+
+/**
+ * Show the live state of the selected sphere in the inspector, or hide the inspector if no
+ * sphere is selected or the selected sphere has been removed
+ */
+function updateInspector () {
+  let sphere = selectedId === null ? null : physics.getSphere(selectedId)
+  document.getElementById('inspector').hidden = sphere === null
+  if (sphere === null) {
+    selectedId = null
+    return
+  }
+
+  let position = sphere.interpolatedPosition(physics.interpolationAlpha)
+  let fields = {
+    'position-x': position[0],
+    'position-y': position[1],
+    'position-z': position[2],
+    'velocity-x': sphere.velocity[0],
+    'velocity-y': sphere.velocity[1],
+    'velocity-z': sphere.velocity[2],
+    'speed': sphere.speed,
+    'mass': sphere.mass,
+    'radius': sphere.radius
+  }
+
+  document.getElementById('inspect-id').textContent = sphere.id
+  Object.keys(fields).forEach(name => {
+    // Leave the field the user is typing into alone
+    let input = document.getElementById(`inspect-${name}`)
+    if (input !== document.activeElement) {
+      input.value = fields[name].toFixed(2)
+    }
+  })
+}
+
+/**
+ * Return the largest radius the inspector allows, a fraction of the shortest side of the container's bounds
+ *
+ * @returns Largest radius
+ */
+function maxEditRadius () {
+  let bounds = physics.container.bounds
+  let size = vec3.subtract(vec3.create(), bounds.max, bounds.min)
+  return Math.min(size[0], size[1], size[2]) * MAX_EDIT_RADIUS_FRACTION
+}
+
+/**
+ * Return the largest mass the inspector allows, that of a sphere of the largest radius at MAX_EDIT_DENSITY
+ *
+ * @returns Largest mass
+ */
+function maxEditMass () {
+  let radius = maxEditRadius()
+  return MAX_EDIT_DENSITY * 4 / 3 * Math.PI * radius * radius * radius
+}
+
+/**
+ * Change a property of the selected sphere from the inspector, waking the sphere so the change takes effect
+ *
+ * @param {string} name Inspector field changed: position or velocity with an axis, such as position-x, or speed, mass or radius
+ * @param {any} value New value of the field
+ */
+function editSelectedSphere (name, value) {
+  let sphere = selectedId === null ? null : physics.getSphere(selectedId)
+  let number = Number(value)
+  if (sphere === null || value === '' || !Number.isFinite(number)) {
+    return
+  }
+
+  let [property, axis] = name.split('-')
+  let index = ['x', 'y', 'z'].indexOf(axis)
+
+  if (property === 'position') {
+    let position = vec3.clone(sphere.position)
+    position[index] = number
+    sphere.position = position
+    sphere.previousPosition = vec3.clone(position)
+  } else if (property === 'velocity') {
+    let velocity = vec3.clone(sphere.velocity)
+    velocity[index] = number
+    sphere.velocity = velocity
+  } else if (property === 'speed') {
+    // Keep the direction of travel; a sphere at rest starts moving straight up
+    let speed = Math.max(number, 0)
+    sphere.velocity = sphere.speed > 0
+      ? vec3.scale(vec3.create(), sphere.velocity, speed / sphere.speed)
+      : vec3.fromValues(0, speed, 0)
+  } else if (property === 'mass') {
+    sphere.mass = Math.min(Math.max(number, Sphere.MIN_MASS), maxEditMass())
+  } else if (property === 'radius') {
+    sphere.radius = Math.min(Math.max(number, 0), maxEditRadius())
+  }
+
+  sphere.wake()
+}
+
+/**
+ * Zoom the camera with the mouse wheel
+ *
+ * @param {any} event Wheel event
+ */
+function handleWheel (event) {
+  // Lines and pages scroll much further per unit than pixels
+  let scale = [1, 16, 400][event.deltaMode] || 1
+  camera.zoom(Math.exp(event.deltaY * scale * 0.001))
+  event.preventDefault()
+}
+
+/**
+ * Ease the camera back to the view of the whole container, and stop following any sphere
+ */
+function resetView () {
+  camera.reset()
+  document.getElementById('follow').value = ''
+}
+
+/**
+ * Keep the camera on a sphere as it moves, until the sphere is removed
+ *
+ * @param {any} id Id of the sphere to follow, or 0 or empty to stop following
+ */
+function followSphere (id) {
+  let sphereId = Number(id)
+  if (physics.getSphere(sphereId) === null) {
+    camera.follow(null)
+    document.getElementById('follow').value = ''
+    return
+  }
+
+  camera.follow(() => {
+    let sphere = physics.getSphere(sphereId)
+    return sphere === null ? null : sphere.interpolatedPosition(physics.interpolationAlpha)
+  })
+  document.getElementById('follow').value = sphereId
+}
+
+/**
+ * Follow the selected sphere, or the most recently added one if none is selected,
+ * or stop following if the camera already follows one
+ */
+function toggleFollowNewest () {
+  let spheres = physics.sphereList
+  if (camera.followed !== null || spheres.length === 0) {
+    followSphere(0)
+  } else {
+    followSphere(selectedId !== null ? selectedId : spheres[spheres.length - 1].id)
+  }
+}
+
+/**
+ * Animate the geometry by feeding the elapsed wall-clock time to the physics engine,
+ * which advances the spheres in fixed-length epochs
+ */
+function animate () {
+  // Convert to seconds
+  now = Date.now() * 0.001
+
+  if (then !== 0) {
+    handleKeys(now - then)
+    camera.update(now - then)
+
+    // The camera stops following a sphere that is removed, or when it is moved away
+    if (camera.followed === null && document.getElementById('follow').value !== '') {
+      document.getElementById('follow').value = ''
+    }
+
+    if (playback !== null) {
+      playback.advance(now - then)
+      updateReplayControls()
+    } else {
+      physics.advance(now - then)
+    }
+
+    // The held sphere may expire or be removed while it is dragged
+    if (grab !== null && physics.getSphere(grab.sphere.id) !== grab.sphere) {
+      grab = null
+    } else if (grab !== null) {
+      grab.sphere.velocity = dragVelocity(now)
+    }
+    updateInspector()
+  }
+
+  // Remember the current time for the next frame.
+  then = now
+}
+
+/**
+ * Runs the boilerplate startup code to get the webapp to work
+ */
+function startup () {
+  canvas = document.getElementById('canvas')
+  gl = createGLContext(canvas)
+
+  physics = new PhysicsEngine()
+  camera = new Camera()
+  frameContainer()
+  camera.snap()
+
+  canvas.addEventListener('mousedown', handleMouseDown)
+  canvas.addEventListener('wheel', handleWheel, { passive: false })
+  canvas.addEventListener('contextmenu', event => event.preventDefault())
+  document.addEventListener('mousemove', handleMouseMove)
+  document.addEventListener('mouseup', handleMouseUp)
+
+  let seed = new URLSearchParams(window.location.search).get('seed')
+  if (seed !== null) {
+    physics.seed = Number(seed)
+  }
+  showSeed()
 
   setupShaders()
   setupBuffers()
+  setupInstancing()
+  setupScene()
+  setupShadows()
 
   gl.clearColor(0.0, 0.0, 0.0, 1.0)
   gl.enable(gl.DEPTH_TEST)
@@ -394,4 +2085,5 @@ function tick () {
   requestAnimFrame(tick)
   animate()
   draw()
+  drawStats()
 }
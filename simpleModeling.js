@@ -177,3 +177,229 @@ function sphereFromSubdivision (numSubDivs, vertexArray, normalArray) {
   numT += sphDivideTriangle(a, c, d, numSubDivs, vertexArray, normalArray)
   return numT
 }
+
+/**
+ * Given unit-length positions on a sphere, build the indexed mesh for them: the normal at each
+ * position is the position itself, and the texture coordinates wrap the longitude around u and
+ * run from the north pole (v = 0) to the south pole (v = 1).
+ *
+ * @param {any} positions Flat array of unit-length x, y, z positions
+ * @param {any} indices Flat array of vertex indices, three per triangle
+ * @returns Mesh with positions, normals, uvs and indices as flat arrays
+ */
+function sphereMeshFromPositions (positions, indices) {
+  let uvs = []
+
+  for (let i = 0; i < positions.length; i += 3) {
+    let [x, y, z] = positions.slice(i, i + 3)
+    uvs.push(0.5 + Math.atan2(x, z) / (2 * Math.PI))
+    uvs.push(Math.acos(Math.max(-1, Math.min(1, y))) / Math.PI)
+  }
+
+  return {
+    positions,
+    normals: positions.slice(),
+    uvs,
+    indices
+  }
+}
+
+/**
+ * Creates an indexed unit sphere by subdividing each face of an icosahedron into four and
+ * pushing the new vertices out onto the sphere. Vertices shared between triangles are stored
+ * once, so level n has 10 * 4^n + 2 vertices and 20 * 4^n triangles.
+ *
+ * The texture coordinates are not split along a seam, so they only suit textures that wrap.
+ *
+ * @param {any} numSubDivs Number of times to subdivide the icosahedron
+ * @returns Mesh with positions, normals, uvs and indices as flat arrays
+ */
+function icosphereMesh (numSubDivs) {
+  let t = (1 + Math.sqrt(5)) / 2
+  let corners = [
+    [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+    [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+    [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+  ]
+
+  let positions = []
+  corners.forEach(corner => pushVertex(vec3.normalize(vec3.create(), corner), positions))
+
+  // Counter-clockwise seen from outside the sphere
+  let indices = [
+    0, 11, 5, 0, 5, 1, 0, 1, 7, 0, 7, 10, 0, 10, 11,
+    1, 5, 9, 5, 11, 4, 11, 10, 2, 10, 7, 6, 7, 1, 8,
+    3, 9, 4, 3, 4, 2, 3, 2, 6, 3, 6, 8, 3, 8, 9,
+    4, 9, 5, 2, 4, 11, 6, 2, 10, 8, 6, 7, 9, 8, 1
+  ]
+
+  for (let level = 0; level < numSubDivs; level++) {
+    // Each edge is shared by two triangles, so its midpoint is created once and looked up the second time
+    let midpoints = new Map()
+    let midpoint = (a, b) => {
+      let key = a < b ? `${a},${b}` : `${b},${a}`
+      if (!midpoints.has(key)) {
+        let point = vec3.fromValues(
+          positions[a * 3] + positions[b * 3],
+          positions[a * 3 + 1] + positions[b * 3 + 1],
+          positions[a * 3 + 2] + positions[b * 3 + 2])
+        pushVertex(vec3.normalize(point, point), positions)
+        midpoints.set(key, positions.length / 3 - 1)
+      }
+      return midpoints.get(key)
+    }
+
+    let divided = []
+    for (let i = 0; i < indices.length; i += 3) {
+      let [a, b, c] = indices.slice(i, i + 3)
+      let ab = midpoint(a, b)
+      let bc = midpoint(b, c)
+      let ca = midpoint(c, a)
+      divided.push(a, ab, ca, b, bc, ab, c, ca, bc, ab, bc, ca)
+    }
+    indices = divided
+  }
+
+  return sphereMeshFromPositions(positions, indices)
+}
+
+/**
+ * Creates an indexed unit sphere from rings of latitude and longitude.
+ * Each ring repeats its first vertex at its end, so the texture coordinates can run
+ * from 0 to 1 without wrapping; the bands next to the poles are fans of single triangles.
+ * There are (latitudeBands + 1) * (longitudeBands + 1) vertices and
+ * 2 * longitudeBands * (latitudeBands - 1) triangles.
+ *
+ * @param {any} latitudeBands Number of bands from pole to pole, at least 2
+ * @param {any} longitudeBands Number of bands around the sphere, at least 3
+ * @returns Mesh with positions, normals, uvs and indices as flat arrays
+ */
+function uvSphereMesh (latitudeBands, longitudeBands) {
+  let positions = []
+  let uvs = []
+  let indices = []
+
+  for (let i = 0; i <= latitudeBands; i++) {
+    let theta = i * Math.PI / latitudeBands
+    for (let j = 0; j <= longitudeBands; j++) {
+      let phi = j * 2 * Math.PI / longitudeBands
+      positions.push(Math.sin(theta) * Math.sin(phi), Math.cos(theta), Math.sin(theta) * Math.cos(phi))
+      uvs.push(j / longitudeBands, i / latitudeBands)
+    }
+  }
+
+  for (let i = 0; i < latitudeBands; i++) {
+    for (let j = 0; j < longitudeBands; j++) {
+      let vid = i * (longitudeBands + 1) + j
+      let below = vid + (longitudeBands + 1)
+
+      // Counter-clockwise seen from outside the sphere
+      if (i > 0) {
+        indices.push(vid, below, vid + 1)
+      }
+      if (i < latitudeBands - 1) {
+        indices.push(vid + 1, below, below + 1)
+      }
+    }
+  }
+
+  let mesh = sphereMeshFromPositions(positions, indices)
+  mesh.uvs = uvs
+  return mesh
+}
+
+/**
+ * Checks that an indexed mesh is well formed: it has matching array lengths, indices in range,
+ * unit-length normals, no degenerate triangles, and a closed surface with consistent winding.
+ * A surface is closed if, once vertices at the same position are merged, every edge is shared
+ * by exactly two triangles that run along it in opposite directions.
+ *
+ * @param {any} mesh Mesh with positions, normals, uvs and indices as flat arrays
+ * @param {any} [tolerance=1e-5] Allowed error in the length of a normal, and distance at which vertices are merged
+ * @returns Object with the vertex and triangle counts, whether the mesh is watertight, and an array of errors found
+ */
+function validateMesh (mesh, tolerance = 1e-5) {
+  let errors = []
+  let vertexCount = mesh.positions.length / 3
+  let triangleCount = mesh.indices.length / 3
+
+  if (mesh.positions.length % 3 !== 0 || mesh.normals.length !== mesh.positions.length) {
+    errors.push('positions and normals must have three values per vertex')
+  }
+  if (mesh.uvs.length !== vertexCount * 2) {
+    errors.push('uvs must have two values per vertex')
+  }
+  if (mesh.indices.length % 3 !== 0) {
+    errors.push('indices must have three values per triangle')
+  }
+
+  for (let i = 0; i < mesh.normals.length; i += 3) {
+    let length = Math.hypot(mesh.normals[i], mesh.normals[i + 1], mesh.normals[i + 2])
+    if (Math.abs(length - 1) > tolerance) {
+      errors.push(`normal ${i / 3} has length ${length}`)
+      break
+    }
+  }
+
+  // Merge vertices at the same position, so seams where vertices are repeated still count as closed
+  let merged = new Map()
+  let welded = []
+  for (let i = 0; i < vertexCount; i++) {
+    let key = [0, 1, 2].map(k => Math.round(mesh.positions[i * 3 + k] / tolerance)).join(',')
+    if (!merged.has(key)) {
+      merged.set(key, merged.size)
+    }
+    welded.push(merged.get(key))
+  }
+
+  let edges = new Map()
+  for (let i = 0; i < mesh.indices.length; i += 3) {
+    let triangle = mesh.indices.slice(i, i + 3)
+    if (triangle.some(index => !(index >= 0 && index < vertexCount))) {
+      errors.push(`triangle ${i / 3} has an index out of range`)
+      continue
+    }
+
+    let [a, b, c] = triangle.map(index => welded[index])
+    if (a === b || b === c || c === a) {
+      errors.push(`triangle ${i / 3} is degenerate`)
+      continue
+    }
+
+    let triangleEdges = [`${a},${b}`, `${b},${c}`, `${c},${a}`]
+    triangleEdges.forEach(key => edges.set(key, (edges.get(key) || 0) + 1))
+  }
+
+  let watertight = errors.length === 0
+  edges.forEach((count, key) => {
+    let [from, to] = key.split(',')
+    if (count !== 1 || edges.get(`${to},${from}`) !== 1) {
+      watertight = false
+    }
+  })
+  if (!watertight && errors.length === 0) {
+    errors.push('surface is not closed with consistent winding')
+  }
+
+  return {
+    vertexCount,
+    triangleCount,
+    watertight,
+    errors
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    planeFromIteration,
+    pushVertex,
+    divideTriangle,
+    planeFromSubdivision,
+    sphDivideTriangle,
+    sphereFromSubdivision,
+    sphereMeshFromPositions,
+    icosphereMesh,
+    uvSphereMesh,
+    validateMesh
+  }
+}
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner that steps a scene a fixed number of times and writes the trajectory
+ * of every sphere at every step, for batch experiments and automated checks.
+ *
+ * Usage: node simulate.js <scene.json> [--steps 600] [--dt 0.008333] [--format csv|json] [--out file]
+ *
+ * The scene is either a snapshot saved from the page (see PhysicsEngine.toJSON), or a description
+ * of a scene to generate:
+ *
+ *   {
+ *     "seed": 42,              seed for the random number generator
+ *     "count": 20,             number of random spheres to add
+ *     "material": "rubber",    material preset for the spheres
+ *     "integrator": "rk4",     name of the integrator
+ *     "continuous": true,      sweep for collisions along each path
+ *     "container": { ... },    container as saved in a snapshot
+ *     "forces": [ ... ]        force fields as saved in a snapshot
+ *   }
+ *
+ * Every field is optional.
+ */
+const fs = require('fs')
+const { PhysicsEngine, Material, Container, ForceField, createIntegrator } = require('./headless.js')
+
+/**
+ * Given the command-line arguments, return the options for the run.
+ *
+ * @param {any} args Arguments after the script name
+ * @returns Object with the scene path, steps, dt, format and output path
+ */
+function parseArguments (args) {
+  let options = {
+    scene: null,
+    steps: 600,
+    dt: null,
+    format: 'csv',
+    out: null
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i]
+
+    if (arg.startsWith('--')) {
+      let name = arg.slice(2)
+      if (!options.hasOwnProperty(name) || name === 'scene') {
+        throw Error(`Unknown option: ${arg}`)
+      }
+      if (i + 1 >= args.length) {
+        throw Error(`Missing value for ${arg}`)
+      }
+      options[name] = args[++i]
+    } else if (options.scene === null) {
+      options.scene = arg
+    } else {
+      throw Error(`Unexpected argument: ${arg}`)
+    }
+  }
+
+  if (options.scene === null) {
+    throw Error('No scene given')
+  }
+
+  options.steps = Number(options.steps)
+  if (!(Number.isInteger(options.steps) && options.steps >= 0)) {
+    throw Error(`Invalid number of steps: ${options.steps}`)
+  }
+
+  if (options.dt !== null) {
+    options.dt = Number(options.dt)
+    if (!(options.dt > 0)) {
+      throw Error(`Invalid time step: ${options.dt}`)
+    }
+  }
+
+  if (options.format !== 'csv' && options.format !== 'json') {
+    throw Error(`Unknown format: ${options.format}`)
+  }
+
+  return options
+}
+
+/**
+ * Given a scene description, create a physics engine set up as it describes.
+ *
+ * @param {any} scene Snapshot or scene description
+ * @returns Physics engine ready to step
+ */
+function loadScene (scene) {
+  let engine = new PhysicsEngine()
+
+  // Trajectories are written out as they are computed, so nothing needs to be kept for replay
+  engine.recorder = null
+
+  if (scene.hasOwnProperty('version')) {
+    engine.restore(scene)
+    return engine
+  }
+
+  if (scene.seed !== undefined) {
+    engine.seed = scene.seed
+  }
+  if (scene.integrator !== undefined) {
+    engine.integrator = createIntegrator(scene.integrator)
+  }
+  if (scene.continuous !== undefined) {
+    engine.continuousCollisions = scene.continuous
+  }
+  if (scene.container !== undefined) {
+    engine.container = Container.fromJSON(scene.container)
+  }
+  if (scene.forces !== undefined) {
+    engine.forces = scene.forces.map(force => ForceField.fromJSON(force))
+  }
+
+  let count = scene.count === undefined ? 0 : scene.count
+  for (let i = 0; i < count; i++) {
+    let material = scene.material === undefined ? Material.DEFAULT : Material.preset(scene.material)
+    engine.addSphere(engine.createSphere(material))
+  }
+
+  return engine
+}
+
+/**
+ * Step the engine and write the state of every sphere after each step, including the initial state as step 0.
+ *
+ * @param {any} engine Physics engine to step
+ * @param {any} options Options for the run
+ * @param {any} write Function to call with each chunk of output
+ */
+function run (engine, options, write) {
+  let dt = options.dt === null ? engine.fixedTimeStep : options.dt
+
+  if (options.format === 'csv') {
+    write('step,time,sphere,x,y,z,vx,vy,vz\n')
+  } else {
+    write('[\n')
+  }
+
+  for (let step = 0; step <= options.steps; step++) {
+    if (step > 0) {
+      engine.tick(dt)
+    }
+
+    if (options.format === 'csv') {
+      let rows = engine.sphereList.map((sphere, index) => {
+        return [step, engine.time, index, ...sphere.position, ...sphere.velocity].join(',')
+      })
+      write(rows.join('\n') + (rows.length > 0 ? '\n' : ''))
+    } else {
+      let frame = {
+        step,
+        time: engine.time,
+        spheres: engine.sphereList.map(sphere => ({
+          position: Array.from(sphere.position),
+          velocity: Array.from(sphere.velocity)
+        }))
+      }
+      write(JSON.stringify(frame) + (step < options.steps ? ',\n' : '\n'))
+    }
+  }
+
+  if (options.format === 'json') {
+    write(']\n')
+  }
+}
+
+/**
+ * Runs the command line.
+ */
+function main () {
+  let options
+  let engine
+
+  try {
+    options = parseArguments(process.argv.slice(2))
+    engine = loadScene(JSON.parse(fs.readFileSync(options.scene, 'utf8')))
+  } catch (e) {
+    console.error(e.message)
+    console.error('Usage: node simulate.js <scene.json> [--steps 600] [--dt seconds] [--format csv|json] [--out file]')
+    process.exit(2)
+  }
+
+  if (options.out === null) {
+    // Stop quietly when the output is piped into a program that exits early, such as head
+    process.stdout.on('error', e => {
+      if (e.code !== 'EPIPE') {
+        throw e
+      }
+      process.exit(0)
+    })
+    run(engine, options, chunk => process.stdout.write(chunk))
+  } else {
+    let fd = fs.openSync(options.out, 'w')
+    run(engine, options, chunk => fs.writeSync(fd, chunk))
+    fs.closeSync(fd)
+  }
+}
+
+main()